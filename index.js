@@ -5,15 +5,224 @@ import { MongoClient, ObjectId } from 'mongodb';
 import bcrypt from 'bcrypt';
 import jwt from 'jsonwebtoken';
 import Stripe from 'stripe';
+import nodemailer from 'nodemailer';
+import { appendFile, readFile } from 'node:fs/promises';
+import {
+  createHash,
+  createHmac,
+  createPublicKey,
+  randomBytes,
+  timingSafeEqual,
+} from 'node:crypto';
+import PDFDocument from 'pdfkit';
 
 dotenv.config();
 const app = express();
+// Vercel sits in front of the app; take the client IP from its header
+app.set('trust proxy', 1);
 app.use(cors());
-app.use(express.json());
+// keep the raw payload around so Stripe webhook signatures can be verified
+app.use(
+  express.json({
+    limit: '5mb', // bulk asset imports
+    verify: (req, res, buf) => {
+      req.rawBody = buf;
+    },
+  })
+);
+app.use(express.text({ type: 'text/csv', limit: '5mb' }));
+
+// ===== Error envelope =====
+
+// Every error response is { code, msg, errors? }; routes only set the status
+// and msg, the code defaults from the status
+const ERROR_CODES = {
+  400: 'BAD_REQUEST',
+  401: 'UNAUTHORIZED',
+  402: 'PAYMENT_REQUIRED',
+  403: 'FORBIDDEN',
+  404: 'NOT_FOUND',
+  409: 'CONFLICT',
+  413: 'PAYLOAD_TOO_LARGE',
+  429: 'TOO_MANY_REQUESTS',
+  500: 'SERVER_ERROR',
+};
+
+app.use((req, res, next) => {
+  const json = res.json.bind(res);
+  res.json = body => {
+    if (
+      res.statusCode >= 400 &&
+      body &&
+      typeof body === 'object' &&
+      !Array.isArray(body) &&
+      !body.code
+    ) {
+      const { code, ...rest } = body;
+      body = { code: ERROR_CODES[res.statusCode] || 'ERROR', ...rest };
+    }
+    return json(body);
+  };
+  next();
+});
 
 // ===== Stripe =====
 
-const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
+// STRIPE_API_BASE points the client at another API host, e.g. stripe-mock
+// (http://localhost:12111) when testing billing
+const stripeApiBase = process.env.STRIPE_API_BASE
+  ? new URL(process.env.STRIPE_API_BASE)
+  : null;
+
+const stripe = new Stripe(
+  process.env.STRIPE_SECRET_KEY,
+  stripeApiBase
+    ? {
+        host: stripeApiBase.hostname,
+        port: stripeApiBase.port,
+        protocol: stripeApiBase.protocol.replace(':', ''),
+      }
+    : undefined
+);
+
+// ===== Mail =====
+
+// Transport picked by MAIL_TRANSPORT: smtp, file or console (default)
+const createMailTransport = () => {
+  const kind = process.env.MAIL_TRANSPORT || 'console';
+
+  if (kind === 'smtp') {
+    const transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: Number(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS },
+    });
+    return { send: message => transporter.sendMail(message) };
+  }
+
+  if (kind === 'file') {
+    const file = process.env.MAIL_FILE || '/tmp/assetverse-mail.log';
+    return {
+      send: message =>
+        appendFile(file, JSON.stringify({ ...message, at: new Date() }) + '\n'),
+    };
+  }
+
+  return {
+    send: async message =>
+      console.log(`[mail] to=${message.to} subject="${message.subject}"`),
+  };
+};
+
+const mailTransport = createMailTransport();
+
+// Subject/body templates, shared by emails and inbox notifications
+const MAIL_TEMPLATES = {
+  'request.created': d => ({
+    subject: `New asset request: ${d.assetName}`,
+    text: `${d.requesterName || d.requesterEmail} requested ${d.assetName}.`,
+  }),
+  'request.approved': d => ({
+    subject: `Request approved: ${d.assetName}`,
+    text: `Your request for ${d.assetName} at ${d.companyName} was approved.${d.decisionReason ? ` ${d.decisionReason}` : ''}`,
+  }),
+  'request.rejected': d => ({
+    subject: `Request rejected: ${d.assetName}`,
+    text: `Your request for ${d.assetName} at ${d.companyName} was rejected.${d.decisionReason ? ` ${d.decisionReason}` : ''}`,
+  }),
+  'request.decided': d => ({
+    subject: `Request processed at ${d.companyName}`,
+    text: `Your request at ${d.companyName} was processed:\n${d.lines.join('\n')}`,
+  }),
+  'return.started': d => ({
+    subject: `Return started: ${d.assetName}`,
+    text: `${d.requesterName || d.requesterEmail} is returning ${d.assetName}. Please confirm receipt.`,
+  }),
+  'return.due-soon': d => ({
+    subject: `Return due soon: ${d.assetName}`,
+    text: `Please return ${d.assetName} to ${d.companyName} by ${formatDate(d.dueDate)}, or ask for an extension.`,
+  }),
+  'return.overdue': d => ({
+    subject: `Return overdue: ${d.assetName}`,
+    text: `${d.assetName} was due back at ${d.companyName} on ${formatDate(d.dueDate)}. Please return it as soon as possible.`,
+  }),
+  'return.escalated': d => ({
+    subject: `Overdue asset: ${d.assetName}`,
+    text: `${d.requesterName || d.requesterEmail} still has ${d.assetName}, due on ${formatDate(d.dueDate)}.`,
+  }),
+  'extension.requested': d => ({
+    subject: `Extension requested: ${d.assetName}`,
+    text: `${d.requesterName || d.requesterEmail} asked to keep ${d.assetName} until ${formatDate(d.extension.requestedUntil)}.`,
+  }),
+  'extension.approved': d => ({
+    subject: `Extension approved: ${d.assetName}`,
+    text: `You can keep ${d.assetName} until ${formatDate(d.dueDate)}.`,
+  }),
+  'extension.rejected': d => ({
+    subject: `Extension rejected: ${d.assetName}`,
+    text: `Your extension for ${d.assetName} was rejected. It is still due on ${formatDate(d.dueDate)}.`,
+  }),
+  'reservation.created': d => ({
+    subject: `New reservation: ${d.assetName}`,
+    text: `${d.employeeName || d.employeeEmail} reserved ${d.assetName} from ${formatDate(d.startDate)} to ${formatDate(d.endDate)}.`,
+  }),
+  'reservation.started': d => ({
+    subject: `Reservation started: ${d.assetName}`,
+    text: `Your reservation of ${d.assetName} has started. It is assigned to you until ${formatDate(d.endDate)}.`,
+  }),
+  'reservation.ended': d => ({
+    subject: `Reservation ended: ${d.assetName}`,
+    text: `Your reservation of ${d.assetName} has ended. Please hand it back to ${d.companyName}; HR will confirm the return.`,
+  }),
+  'reservation.cancelled': d => ({
+    subject: `Reservation cancelled: ${d.assetName}`,
+    text: `Your reservation of ${d.assetName} (${formatDate(d.startDate)} to ${formatDate(d.endDate)}) was cancelled${d.reason ? `: ${d.reason}` : ''}.`,
+  }),
+  'approval.requested': d => ({
+    subject: `Approval needed: ${d.assetName}`,
+    text: `${d.requesterName || d.requesterEmail} requested ${d.assetName} at ${d.companyName}. Your ${d.approval.steps[d.approval.currentStep].name} approval is due by ${formatDate(d.approval.steps[d.approval.currentStep].dueAt)}.`,
+  }),
+  'billing.payment-failed': d => ({
+    subject: `Payment failed for ${d.companyName}`,
+    text: `We couldn't charge your ${d.packageName} subscription. Update your payment method by ${formatDate(d.graceUntil)} to keep your package.`,
+  }),
+  'billing.lapsed': d => ({
+    subject: `Subscription lapsed: ${d.companyName}`,
+    text: `Your ${d.packageName} subscription still isn't paid, so ${d.companyName} is back on the starting package (${d.packageLimit} employees).`,
+  }),
+  'announcement.created': d => ({
+    subject: `${d.companyName}: ${d.title}`,
+    text: d.body,
+  }),
+  'return.confirmed': d => ({
+    subject: `Return confirmed: ${d.assetName}`,
+    text: `HR confirmed the return of ${d.assetName} (condition: ${d.condition}).`,
+  }),
+  // auth emails, never copied into the inbox
+  'auth.verify-email': d => ({
+    subject: 'Verify your AssetVerse email',
+    text: `Hi ${d.name}, confirm your email address: ${d.link}\nThe link expires in 24 hours.`,
+  }),
+  'auth.password-reset': d => ({
+    subject: 'Reset your AssetVerse password',
+    text: `Hi ${d.name}, reset your password here: ${d.link}\nThe link expires in 1 hour. Ignore this email if you didn't ask for it.`,
+  }),
+  'auth.invite': d => ({
+    subject: `Join ${d.companyName} on AssetVerse`,
+    text: `${d.invitedBy} invited you to join ${d.companyName} on AssetVerse: ${d.link}\nThe link expires on ${formatDate(d.expiresAt)}.`,
+  }),
+};
+
+const sendMail = async (to, template, data) => {
+  const { subject, text } = MAIL_TEMPLATES[template](data);
+  await mailTransport.send({
+    from: process.env.MAIL_FROM || 'AssetVerse <no-reply@assetverse.app>',
+    to,
+    subject,
+    text,
+  });
+};
 
 // ===== MongoDB =====
 
@@ -29,6 +238,89 @@ const usersCol = db.collection('users');
 const assetsCol = db.collection('assets');
 const packagesCol = db.collection('packages');
 const requestsCol = db.collection('requests');
+const paymentsCol = db.collection('payments');
+const companiesCol = db.collection('companies');
+const affiliationsCol = db.collection('employeeAffiliations');
+const unitsCol = db.collection('assetUnits');
+const auditCol = db.collection('auditLogs');
+const notificationsCol = db.collection('notifications');
+const receiptsCol = db.collection('receipts');
+const announcementsCol = db.collection('announcements');
+const announcementReadsCol = db.collection('announcementReads');
+const sessionsCol = db.collection('sessions');
+const authTokensCol = db.collection('authTokens');
+const rateLimitsCol = db.collection('rateLimits');
+const loginFailuresCol = db.collection('loginFailures');
+const reservationsCol = db.collection('reservations');
+const approvalPoliciesCol = db.collection('approvalPolicies');
+const invitesCol = db.collection('invites');
+const invoicesCol = db.collection('invoices');
+const stripeEventsCol = db.collection('stripeEvents');
+const mailQueueCol = db.collection('mailQueue');
+
+await paymentsCol.createIndex({ paymentIntentId: 1 }, { unique: true });
+// an employee can only have one active affiliation per company
+await affiliationsCol.createIndex(
+  { companyId: 1, employeeEmail: 1 },
+  { unique: true, partialFilterExpression: { status: 'active' } }
+);
+await unitsCol.createIndex({ companyId: 1, tagCode: 1 }, { unique: true });
+await unitsCol.createIndex(
+  { assetId: 1, serialNumber: 1 },
+  {
+    unique: true,
+    partialFilterExpression: { serialNumber: { $type: 'string' } },
+  }
+);
+await assetsCol.createIndex({ companyId: 1, dateAdded: -1 });
+await assetsCol.createIndex(
+  { companyId: 1, sku: 1 },
+  { unique: true, partialFilterExpression: { sku: { $type: 'string' } } }
+);
+await auditCol.createIndex({ companyId: 1, at: -1 });
+await auditCol.createIndex({ companyId: 1, entity: 1, entityId: 1 });
+await notificationsCol.createIndex({ userEmail: 1, read: 1, createdAt: -1 });
+await receiptsCol.createIndex({ receiptNo: 1 }, { unique: true });
+await announcementsCol.createIndex({ companyId: 1, pinned: -1, createdAt: -1 });
+await announcementReadsCol.createIndex(
+  { announcementId: 1, employeeEmail: 1 },
+  { unique: true }
+);
+await sessionsCol.createIndex({ userId: 1 });
+// expired sessions are cleaned up by MongoDB
+await sessionsCol.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+await authTokensCol.createIndex({ tokenHash: 1 }, { unique: true });
+await authTokensCol.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+await rateLimitsCol.createIndex({ resetAt: 1 }, { expireAfterSeconds: 0 });
+await loginFailuresCol.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+await mailQueueCol.createIndex({ sentAt: 1, createdAt: 1 });
+await requestsCol.createIndex({ requestStatus: 1, dueDate: 1 });
+await requestsCol.createIndex({
+  requestStatus: 1,
+  'approval.pendingApprovers': 1,
+});
+await approvalPoliciesCol.createIndex({ companyId: 1, priority: 1 });
+await invitesCol.createIndex({ tokenHash: 1 }, { unique: true });
+await invoicesCol.createIndex({ invoiceId: 1 }, { unique: true });
+await invoicesCol.createIndex({ companyId: 1, createdAt: -1 });
+// Stripe retries an event for up to three days, but it can still be resent
+// by hand (dashboard or CLI) for the 30 days Stripe keeps events, so the
+// dedupe claim lives as long as the event itself
+await stripeEventsCol.createIndex(
+  { receivedAt: 1 },
+  { expireAfterSeconds: 30 * 24 * 60 * 60 }
+);
+await companiesCol.createIndex({ 'billing.customerId': 1 }, { sparse: true });
+await companiesCol.createIndex({
+  'billing.status': 1,
+  'billing.graceUntil': 1,
+});
+await invitesCol.createIndex({ companyId: 1, status: 1, expiresAt: 1 });
+await invitesCol.createIndex({ companyId: 1, email: 1, createdAt: -1 });
+await reservationsCol.createIndex({ assetId: 1, status: 1, startDate: 1 });
+await reservationsCol.createIndex({ status: 1, startDate: 1, endDate: 1 });
+await reservationsCol.createIndex({ companyId: 1, startDate: -1 });
+await reservationsCol.createIndex({ employeeEmail: 1, startDate: -1 });
 
 // ===== Seed default packages =====
 
@@ -65,774 +357,7818 @@ const seedPackages = async () => {
 
 await seedPackages();
 
-// ===== JWT Middleware =====
+// ===== Backfill companies for HR accounts created before tenancy =====
 
-const verifyToken = (req, res, next) => {
-  const authHeader = req.headers.authorization;
-  if (!authHeader) return res.status(401).send({ msg: 'No token provided' });
+const backfillCompanies = async () => {
+  const hrs = await usersCol
+    .find({ role: 'hr', companyId: { $exists: false } })
+    .toArray();
 
-  const token = authHeader.split(' ')[1];
-  try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    req.user = decoded; 
-    next();
-  } catch (err) {
-    console.error('JWT Error:', err);
-    res.status(403).send({ msg: 'Invalid token' });
-  }
-};
+  for (const hr of hrs) {
+    const { insertedId: companyId } = await companiesCol.insertOne({
+      name: hr.companyName,
+      logo: hr.companyLogo,
+      ownerId: hr._id,
+      ownerEmail: hr.email,
+      createdAt: new Date(),
+    });
 
-const verifyHR = (req, res, next) => {
-  if (!req.user) return res.status(401).send({ msg: 'Unauthorized' });
-  if (req.user.role !== 'hr') return res.status(403).send({ msg: 'HR only' });
-  next();
-};
+    await usersCol.updateOne({ _id: hr._id }, { $set: { companyId } });
+    await assetsCol.updateMany({ hrEmail: hr.email }, { $set: { companyId } });
+    await requestsCol.updateMany(
+      { hrEmail: hr.email },
+      { $set: { companyId } }
+    );
+  }
 
-const verifyEmployee = (req, res, next) => {
-  if (!req.user) return res.status(401).send({ msg: 'Unauthorized' });
-  if (req.user.role !== 'employee')
-    return res.status(403).send({ msg: 'Employee only' });
-  next();
+  if (hrs.length) console.log(`Backfilled ${hrs.length} companies`);
 };
 
-// ==================== AUTH ====================
-
-// HR Registration
-
-app.post('/auth/register/hr', async (req, res) => {
-  try {
-    const { name, email, password, companyName, companyLogo, dateOfBirth } =
-      req.body;
-    if (!name || !email || !password || !companyName || !companyLogo)
-      return res.status(400).send({ msg: 'All fields required' });
-
-    const exist = await usersCol.findOne({ email });
-    if (exist) return res.status(400).send({ msg: 'Email already exists' });
-
-    const hashed = await bcrypt.hash(password, 10);
-
-    const hr = {
-      name,
-      email,
-      password: hashed,
-      role: 'hr',
-      companyName,
-      companyLogo,
-      dateOfBirth,
-      subscription: 'basic',
-      packageLimit: 5,
-      currentEmployees: 0,
-      approved: true,
-      createdAt: new Date(),
-    };
-
-    const result = await usersCol.insertOne(hr);
-    res.status(201).send({ msg: 'HR Registered', hrId: result.insertedId });
-  } catch (err) {
-    console.error('HR registration error:', err);
-    res.status(500).send({ msg: 'Server Error', error: err.toString() });
-  }
-});
+await backfillCompanies();
 
-// Employee Registration
+// ===== Backfill affiliations from approved requests =====
 
-app.post('/auth/register/employee', async (req, res) => {
-  try {
-    const { name, email, password, dateOfBirth } = req.body;
-    if (!name || !email || !password)
-      return res.status(400).send({ msg: 'All fields required' });
-
-    const exist = await usersCol.findOne({ email });
-    if (exist) return res.status(400).send({ msg: 'Email already exists' });
-
-    const hashed = await bcrypt.hash(password, 10);
-
-    const employee = {
-      name,
-      email,
-      password: hashed,
-      role: 'employee',
-      dateOfBirth,
-      approved: false,
-      createdAt: new Date(),
-    };
+const backfillAffiliations = async () => {
+  if ((await affiliationsCol.estimatedDocumentCount()) > 0) return;
 
-    const result = await usersCol.insertOne(employee);
-    res.status(201).send({
-      msg: 'Employee Registered, waiting approval',
-      employeeId: result.insertedId,
+  const pairs = await requestsCol
+    .aggregate([
+      { $match: { requestStatus: 'approved', companyId: { $exists: true } } },
+      {
+        $group: {
+          _id: { companyId: '$companyId', email: '$requesterEmail' },
+          firstApproval: { $min: '$approvalDate' },
+        },
+      },
+    ])
+    .toArray();
+
+  for (const { _id, firstApproval } of pairs) {
+    const company = await companiesCol.findOne({ _id: _id.companyId });
+    const employee = await usersCol.findOne({ email: _id.email });
+    if (!company || !employee) continue;
+
+    await affiliationsCol.insertOne({
+      employeeId: employee._id,
+      employeeEmail: employee.email,
+      employeeName: employee.name,
+      companyId: company._id,
+      companyName: company.name,
+      companyLogo: company.logo,
+      hrEmail: company.ownerEmail,
+      status: 'active',
+      affiliationDate: firstApproval || new Date(),
+      removedAt: null,
     });
-  } catch (err) {
-    console.error('Employee registration error:', err);
-    res.status(500).send({ msg: 'Server Error', error: err.toString() });
+    await usersCol.updateOne(
+      { _id: company.ownerId },
+      { $inc: { currentEmployees: 1 } }
+    );
   }
-});
 
-// Login (JWT)
+  if (pairs.length) console.log(`Backfilled ${pairs.length} affiliations`);
+};
 
-app.post('/auth/login', async (req, res) => {
-  try {
-    const { email, password } = req.body;
+await backfillAffiliations();
+
+// ===== Sessions =====
+
+// Short-lived access JWTs; each login is a server-side session whose
+// refresh token rotates on every use
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_DAYS = Number(process.env.REFRESH_TOKEN_DAYS) || 30;
+// a just-rotated refresh token keeps working this long (concurrent tabs)
+const REFRESH_GRACE_MS = Number(process.env.REFRESH_GRACE_MS) || 30 * 1000;
+
+const hashToken = token => createHash('sha256').update(token).digest('hex');
+
+// The next refresh secret is derived from the presented one with the
+// session's own key, so concurrent refreshes with one token get the same pair
+const nextRefreshSecret = (session, secret) =>
+  session.rotationKey
+    ? createHmac('sha256', session.rotationKey)
+        .update(secret)
+        .digest('base64url')
+    : randomBytes(48).toString('base64url');
+
+const signAccessToken = (user, sessionId) =>
+  jwt.sign(
+    {
+      id: user._id,
+      role: user.role,
+      email: user.email,
+      companyId: user.companyId,
+      sid: sessionId,
+    },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+
+// Start a session for a user and return its tokens.
+// Refresh tokens look like `<sessionId>.<secret>`; only the hash is stored.
+const createSession = async (user, req) => {
+  const sessionId = new ObjectId();
+  const secret = randomBytes(48).toString('base64url');
+
+  await sessionsCol.insertOne({
+    _id: sessionId,
+    userId: user._id,
+    email: user.email,
+    tokenHash: hashToken(secret),
+    previousHashes: [],
+    rotationKey: randomBytes(32).toString('base64url'),
+    rotatedAt: null,
+    userAgent: req.headers['user-agent'] || '',
+    ip: req.ip,
+    createdAt: new Date(),
+    lastUsedAt: new Date(),
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000),
+    revokedAt: null,
+    revokedReason: null,
+  });
+
+  return {
+    token: signAccessToken(user, sessionId),
+    refreshToken: `${sessionId}.${secret}`,
+  };
+};
 
-    const user = await usersCol.findOne({ email });
-    if (!user) return res.status(400).send({ msg: 'User not found' });
+const revokeSessions = (filter, reason) =>
+  sessionsCol.updateMany(
+    { ...filter, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+
+// ===== Rate limiting =====
+
+// Stores count hits per key in fixed windows: hit(key, windowMs) resolves to
+// { count, resetAt }. Memory is per instance; Mongo is shared across them.
+const createMemoryStore = () => {
+  const hits = new Map();
+  return {
+    hit: async (key, windowMs) => {
+      const now = Date.now();
+      let entry = hits.get(key);
+      if (!entry || entry.resetAt <= now) {
+        entry = { count: 0, resetAt: now + windowMs };
+        hits.set(key, entry);
+      }
+      entry.count += 1;
 
-    const valid = await bcrypt.compare(password, user.password);
-    if (!valid) return res.status(400).send({ msg: 'Invalid password' });
+      // drop expired windows now and then so the map can't grow forever
+      if (hits.size > 10000) {
+        for (const [k, e] of hits) if (e.resetAt <= now) hits.delete(k);
+      }
+      return { count: entry.count, resetAt: new Date(entry.resetAt) };
+    },
+  };
+};
 
-    const token = jwt.sign(
-      { id: user._id, role: user.role, email: user.email },
-      process.env.JWT_SECRET,
-      { expiresIn: '1d' }
+const createMongoStore = col => ({
+  hit: async (key, windowMs) => {
+    const now = new Date();
+    // one atomic update: start a new window or count into the current one
+    const doc = await col.findOneAndUpdate(
+      { _id: key },
+      [
+        {
+          $set: {
+            count: {
+              $cond: [{ $gt: ['$resetAt', now] }, { $add: ['$count', 1] }, 1],
+            },
+            resetAt: {
+              $cond: [
+                { $gt: ['$resetAt', now] },
+                '$resetAt',
+                new Date(now.getTime() + windowMs),
+              ],
+            },
+          },
+        },
+      ],
+      { upsert: true, returnDocument: 'after' }
     );
-
-    res.send({ token, user });
-  } catch (err) {
-    console.error('Login error:', err);
-    res.status(500).send({ msg: 'Server Error', error: err.toString() });
-  }
+    return { count: doc.count, resetAt: doc.resetAt };
+  },
 });
 
-// ==================== HR: EMPLOYEES ====================
+const rateLimitStore =
+  process.env.RATE_LIMIT_STORE === 'memory'
+    ? createMemoryStore()
+    : createMongoStore(rateLimitsCol);
+
+// Limits can be tuned per name, e.g. RATE_LIMIT_LOGIN_IP_MAX and
+// RATE_LIMIT_LOGIN_IP_WINDOW_MS
+const limitFromEnv = (name, max, windowMs) => {
+  const prefix = `RATE_LIMIT_${name.toUpperCase().replace(/-/g, '_')}`;
+  return {
+    max: Number(process.env[`${prefix}_MAX`]) || max,
+    windowMs: Number(process.env[`${prefix}_WINDOW_MS`]) || windowMs,
+  };
+};
 
+// One answer for every limit and lockout, so which one tripped doesn't show
+const tooManyRequests = (res, until) => {
+  res.set(
+    'Retry-After',
+    String(Math.max(Math.ceil((until - Date.now()) / 1000), 1))
+  );
+  return res.status(429).send({ msg: 'Too many requests, try again later' });
+};
 
-app.get('/hr/employees', async (req, res) => {
-  try {
-    const { hrEmail } = req.query;
+// Middleware allowing `max` hits per window for each key(req).
+// Requests with no key (e.g. no email in the body) aren't counted.
+const rateLimit = ({ name, max, windowMs, key }) => {
+  const limit = limitFromEnv(name, max, windowMs);
 
+  return async (req, res, next) => {
+    const value = key(req);
+    if (!value) return next();
 
-    if (hrEmail) {
-      const approvedReqs = await requestsCol
-        .find({ hrEmail, requestStatus: 'approved' })
-        .toArray();
+    try {
+      const { count, resetAt } = await rateLimitStore.hit(
+        `${name}:${String(value).toLowerCase()}`,
+        limit.windowMs
+      );
+      if (count > limit.max) return tooManyRequests(res, resetAt);
+    } catch (err) {
+      // never lock everyone out because the store is down
+      console.error('Rate limit store error:', err);
+    }
+    next();
+  };
+};
 
-      if (!approvedReqs.length) {
-        return res.send([]); 
-      }
+const MINUTE = 60 * 1000;
+const byIp = req => req.ip;
+const byEmail = req => req.body?.email;
+const byUser = req => req.user?.id;
+
+const limits = {
+  loginIp: rateLimit({
+    name: 'login-ip',
+    max: 20,
+    windowMs: 15 * MINUTE,
+    key: byIp,
+  }),
+  authIp: rateLimit({
+    name: 'auth-ip',
+    max: 30,
+    windowMs: 15 * MINUTE,
+    key: byIp,
+  }),
+  registerIp: rateLimit({
+    name: 'register-ip',
+    max: 10,
+    windowMs: 60 * MINUTE,
+    key: byIp,
+  }),
+  registerAccount: rateLimit({
+    name: 'register-account',
+    max: 5,
+    windowMs: 60 * MINUTE,
+    key: byEmail,
+  }),
+  emailAccount: rateLimit({
+    name: 'email-account',
+    max: 3,
+    windowMs: 15 * MINUTE,
+    key: byEmail,
+  }),
+  passwordUser: rateLimit({
+    name: 'password-user',
+    max: 5,
+    windowMs: 15 * MINUTE,
+    key: byUser,
+  }),
+  paymentIp: rateLimit({
+    name: 'payment-ip',
+    max: 20,
+    windowMs: 60 * MINUTE,
+    key: byIp,
+  }),
+  paymentUser: rateLimit({
+    name: 'payment-user',
+    max: 10,
+    windowMs: 60 * MINUTE,
+    key: byUser,
+  }),
+};
 
-      const emails = [...new Set(approvedReqs.map(r => r.requesterEmail))];
+// ===== Login lockout =====
 
-      const employees = await usersCol
-        .find({
-          email: { $in: emails },
-          role: 'employee',
-        })
-        .toArray();
+// The per-account login limit. Failures are counted per email, whether or
+// not it has an account, so unknown emails lock exactly like real ones.
+// After LOGIN_MAX_FAILURES the email locks for a minute, doubling with every
+// further failure up to an hour; the count is forgotten a day after the
+// last failure.
+const LOGIN_MAX_FAILURES = Number(process.env.LOGIN_MAX_FAILURES) || 5;
+const LOGIN_LOCK_MAX_MS = 60 * MINUTE;
+const LOGIN_FAILURES_TTL_MS = 24 * 60 * MINUTE;
 
-      return res.send(employees);
-    }
+// compared against when the email is unknown so timing doesn't leak it
+const DUMMY_PASSWORD_HASH = await bcrypt.hash('assetverse-dummy-password', 10);
 
- 
-    const employees = await usersCol
-      .find({ role: 'employee', approved: true })
-      .toArray();
-    res.send(employees);
-  } catch (err) {
-    console.error(err);
-    res.status(500).send({ msg: 'Server Error', error: err.toString() });
+const loginLockedUntil = async email => {
+  const failures = await loginFailuresCol.findOne({ _id: email });
+  return failures?.lockedUntil > new Date() ? failures.lockedUntil : null;
+};
+
+const recordLoginFailure = async email => {
+  const updated = await loginFailuresCol.findOneAndUpdate(
+    { _id: email },
+    {
+      $inc: { count: 1 },
+      $set: { expiresAt: new Date(Date.now() + LOGIN_FAILURES_TTL_MS) },
+    },
+    { upsert: true, returnDocument: 'after' }
+  );
+  const over = updated.count - LOGIN_MAX_FAILURES;
+  if (over >= 0) {
+    const lockMs = Math.min(MINUTE * 2 ** over, LOGIN_LOCK_MAX_MS);
+    await loginFailuresCol.updateOne(
+      { _id: email },
+      { $set: { lockedUntil: new Date(Date.now() + lockMs) } }
+    );
   }
-});
+};
 
-// Pending employees (JWT protected)
+// ===== Email verification & password reset tokens =====
+
+const CLIENT_URL = process.env.CLIENT_URL || 'http://localhost:5173';
+
+// What login does with unverified emails: off, warn (default) or block
+const EMAIL_VERIFICATION_POLICY =
+  process.env.EMAIL_VERIFICATION_POLICY || 'warn';
+
+const AUTH_TOKEN_TTL_MS = {
+  'verify-email': 24 * 60 * 60 * 1000,
+  'password-reset': 60 * 60 * 1000,
+};
 
-app.get('/hr/employees/pending', verifyToken, verifyHR, async (req, res) => {
+// Issue a single-use token, replacing any unused one for the same purpose
+const issueAuthToken = async (user, purpose) => {
+  await authTokensCol.deleteMany({ userId: user._id, purpose, usedAt: null });
+
+  const token = randomBytes(32).toString('base64url');
+  await authTokensCol.insertOne({
+    userId: user._id,
+    email: user.email,
+    purpose,
+    tokenHash: hashToken(token),
+    createdAt: new Date(),
+    expiresAt: new Date(Date.now() + AUTH_TOKEN_TTL_MS[purpose]),
+    usedAt: null,
+  });
+  return token;
+};
+
+// Mark a token used and return it, or null if unknown, used or expired
+const consumeAuthToken = (token, purpose) =>
+  authTokensCol.findOneAndUpdate(
+    {
+      tokenHash: hashToken(String(token)),
+      purpose,
+      usedAt: null,
+      expiresAt: { $gt: new Date() },
+    },
+    { $set: { usedAt: new Date() } }
+  );
+
+const sendAuthEmail = async (user, purpose, path) => {
   try {
-    const employees = await usersCol
-      .find({ role: 'employee', approved: false })
-      .toArray();
-    res.send(employees);
+    const token = await issueAuthToken(user, purpose);
+    await sendMail(user.email, `auth.${purpose}`, {
+      name: user.name,
+      link: `${CLIENT_URL}${path}?token=${token}`,
+    });
   } catch (err) {
-    console.error(err);
-    res.status(500).send({ msg: 'Server Error', error: err.toString() });
-  }
-});
-
-// Approve employee (JWT protected)
-app.patch(
-  '/hr/approve-employee/:id',
-  verifyToken,
-  verifyHR,
-  async (req, res) => {
-    try {
-      const { id } = req.params;
-      const result = await usersCol.updateOne(
-        { _id: new ObjectId(id) },
-        { $set: { approved: true } }
-      );
-      res.send({ msg: 'Employee Approved', result });
-    } catch (err) {
-      console.error(err);
-      res.status(500).send({ msg: 'Server Error', error: err.toString() });
-    }
+    console.error(`Auth email error (${purpose}):`, err);
   }
-);
+};
 
-// ==================== HR: ASSETS ====================
+// ===== Google ID tokens =====
 
-// Add Asset
-app.post('/hr/assets', async (req, res) => {
-  try {
-    const {
-      productName,
-      productImage,
-      productType,
-      productQuantity,
-      hrEmail,
-      companyName,
-    } = req.body;
+// GOOGLE_JWKS_URI may be an https URL or a local file (file:///path or
+// /path) holding a JWKS, so sign-in can be tested with a local key set
+const GOOGLE_JWKS_URI =
+  process.env.GOOGLE_JWKS_URI || 'https://www.googleapis.com/oauth2/v3/certs';
+const GOOGLE_ISSUERS = ['accounts.google.com', 'https://accounts.google.com'];
+const JWKS_CACHE_MS = 60 * 60 * 1000;
 
-    if (!productName || !productImage || !productType || !productQuantity) {
-      return res.status(400).send({ msg: 'All fields required' });
-    }
+let jwksCache = { keys: [], fetchedAt: 0 };
 
-    const qty = Number(productQuantity);
+const loadJwks = async () => {
+  if (/^https?:\/\//.test(GOOGLE_JWKS_URI)) {
+    const response = await fetch(GOOGLE_JWKS_URI);
+    if (!response.ok) throw new Error(`JWKS fetch failed: ${response.status}`);
+    return response.json();
+  }
+  const path = GOOGLE_JWKS_URI.replace(/^file:\/\//, '');
+  return JSON.parse(await readFile(path, 'utf8'));
+};
 
-    const asset = {
-      productName,
-      productImage,
-      productType, 
-      productQuantity: qty,
-      availableQuantity: qty,
-      dateAdded: new Date(),
-      hrEmail: hrEmail || null,
-      companyName: companyName || '',
-    };
+// Signing key for a kid, refreshing the cached key set when it's stale or
+// the kid is unknown (Google rotates keys)
+const getGoogleKey = async kid => {
+  const find = () => jwksCache.keys.find(k => k.kid === kid);
+  if (!find() || Date.now() - jwksCache.fetchedAt > JWKS_CACHE_MS) {
+    const { keys = [] } = await loadJwks();
+    jwksCache = { keys, fetchedAt: Date.now() };
+  }
+  const jwk = find();
+  return jwk ? createPublicKey({ key: jwk, format: 'jwk' }) : null;
+};
 
-    const result = await assetsCol.insertOne(asset);
-    res.status(201).send({ msg: 'Asset created', id: result.insertedId });
-  } catch (err) {
-    console.error('Add asset error:', err);
-    res.status(500).send({ msg: 'Server Error', error: err.toString() });
+// Verified ID token payload, or null if the token isn't valid for this app
+const verifyGoogleIdToken = async idToken => {
+  // without an audience jwt.verify would accept tokens minted for any app
+  if (!process.env.GOOGLE_CLIENT_ID) {
+    throw new Error('GOOGLE_CLIENT_ID is not set');
   }
-});
 
-// Get all assets
-// app.get('/hr/assets', async (req, res) => {
-//   try {
-//     const assets = await assetsCol.find({}).toArray();
-//     res.send(assets);
-//   } catch (err) {
-//     console.error('Get assets error:', err);
-//     res.status(500).send({ msg: 'Server Error', error: err.toString() });
-//   }
-// });
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded?.header?.kid) return null;
 
-// Get single asset by id
+  const key = await getGoogleKey(decoded.header.kid);
+  if (!key) return null;
 
-app.get('/hr/assets/:id', async (req, res) => {
   try {
-    const { id } = req.params;
-    const asset = await assetsCol.findOne({ _id: new ObjectId(id) });
-    if (!asset) return res.status(404).send({ msg: 'Asset not found' });
-    res.send(asset);
+    return jwt.verify(idToken, key, {
+      algorithms: ['RS256'],
+      audience: process.env.GOOGLE_CLIENT_ID,
+      issuer: GOOGLE_ISSUERS,
+    });
   } catch (err) {
-    console.error('Get single asset error:', err);
-    res.status(500).send({ msg: 'Server Error', error: err.toString() });
+    console.error('Google token error:', err.message);
+    return null;
   }
-});
+};
 
-// Update asset
-app.patch('/hr/assets/:id', async (req, res) => {
-  try {
-    const { id } = req.params;
-    const { productName, productImage, productType, productQuantity } =
-      req.body;
-
-    const update = {};
-    if (productName) update.productName = productName;
-    if (productImage) update.productImage = productImage;
-    if (productType) update.productType = productType;
-    if (productQuantity !== undefined) {
-      const qty = Number(productQuantity);
-      update.productQuantity = qty;
-      update.availableQuantity = qty;
-    }
-
-    const result = await assetsCol.updateOne(
-      { _id: new ObjectId(id) },
-      { $set: update }
-    );
+// ===== JWT Middleware =====
 
-    if (result.matchedCount === 0) {
-      return res.status(404).send({ msg: 'Asset not found' });
-    }
+const verifyToken = async (req, res, next) => {
+  const authHeader = req.headers.authorization;
+  if (!authHeader) return res.status(401).send({ msg: 'No token provided' });
 
-    res.send({ msg: 'Asset updated', result });
+  const token = authHeader.split(' ')[1];
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
   } catch (err) {
-    console.error('Update asset error:', err);
-    res.status(500).send({ msg: 'Server Error', error: err.toString() });
+    if (err.name === 'TokenExpiredError') {
+      return res.status(401).send({ msg: 'Token expired' });
+    }
+    console.error('JWT Error:', err);
+    return res.status(403).send({ msg: 'Invalid token' });
   }
-});
 
-// Delete asset
-app.delete('/hr/assets/:id', async (req, res) => {
   try {
-    const { id } = req.params;
-    const result = await assetsCol.deleteOne({ _id: new ObjectId(id) });
-    if (result.deletedCount === 0) {
-      return res.status(404).send({ msg: 'Asset not found' });
+    // tokens from before sessions existed carry no sid and are refused
+    const session = ObjectId.isValid(decoded.sid)
+      ? await sessionsCol.findOne({ _id: new ObjectId(decoded.sid) })
+      : null;
+    if (!session || session.revokedAt || session.expiresAt < new Date()) {
+      return res.status(401).send({ msg: 'Session expired or revoked' });
     }
-    res.send({ msg: 'Asset deleted' });
   } catch (err) {
-    console.error('Delete asset error:', err);
-    res.status(500).send({ msg: 'Server Error', error: err.toString() });
+    return next(err);
   }
-});
 
-// ==================== EMPLOYEE: REQUESTS ====================
+  req.user = decoded;
+  next();
+};
 
-// Create request
-app.post('/employee/requests', async (req, res) => {
-  try {
-    const {
-      assetId,
-      assetName,
-      assetType,
-      companyName,
-      hrEmail,
-      requesterName,
-      requesterEmail,
-      note,
-      assetImage,
-    } = req.body;
-
-    if (!assetId || !requesterEmail) {
-      return res
-        .status(400)
-        .send({ msg: 'assetId and requesterEmail are required' });
-    }
-
-    const requestDoc = {
-      assetId: new ObjectId(assetId),
-      assetName,
-      assetType,
-      hrEmail: hrEmail || null,
-      companyName: companyName || 'Unknown Company',
-      requesterName,
-      requesterEmail,
-      assetImage: assetImage || null,
-      requestDate: new Date(),
-      approvalDate: null,
-      requestStatus: 'pending',
-      note: note || '',
-      processedBy: null,
-    };
+const verifyHR = (req, res, next) => {
+  if (!req.user) return res.status(401).send({ msg: 'Unauthorized' });
+  if (req.user.role !== 'hr') return res.status(403).send({ msg: 'HR only' });
+  if (!ObjectId.isValid(req.user.companyId))
+    return res.status(403).send({ msg: 'No company linked to this account' });
+  req.companyId = new ObjectId(req.user.companyId);
+  next();
+};
 
-    const result = await requestsCol.insertOne(requestDoc);
+const verifyEmployee = (req, res, next) => {
+  if (!req.user) return res.status(401).send({ msg: 'Unauthorized' });
+  if (req.user.role !== 'employee')
+    return res.status(403).send({ msg: 'Employee only' });
+  next();
+};
 
-    res.status(201).send({
-      msg: 'Request created',
-      requestId: result.insertedId,
-    });
-  } catch (err) {
-    console.error('Create request error:', err);
-    res.status(500).send({ msg: 'Server Error', error: err.toString() });
-  }
-});
+// ===== Request validation =====
 
-// My requests (for MyAssets)
-app.get('/employee/requests/:email', async (req, res) => {
-  try {
-    const { email } = req.params;
-    const requests = await requestsCol
-      .find({ requesterEmail: email })
-      .sort({ requestDate: -1 })
-      .toArray();
-    res.send(requests);
-  } catch (err) {
-    console.error('My requests error:', err);
-    res.status(500).send({ msg: 'Server Error', error: err.toString() });
-  }
-});
+// Schemas are plain objects of field rules for params, query and body:
+//   validate({ params: { id: requiredId }, body: { note: { type: 'string' } } })
+// Values are coerced (query strings become numbers, dates and booleans),
+// fields a schema doesn't list are dropped, and failures answer 400 with
+// one { location, field, msg } entry per bad field.
 
-// Return asset
-app.patch('/employee/requests/:id/return', async (req, res) => {
-  try {
-    const { id } = req.params;
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const OBJECT_ID_RE = /^[a-f\d]{24}$/i;
+const BOOLEANS = { true: true, 1: true, false: false, 0: false };
+
+const checkField = (rule, value, field, fail) => {
+  if (value === undefined || value === null || value === '') {
+    if (rule.nullable && value !== undefined) return null;
+    if (rule.required) fail(field, 'is required');
+    return rule.default;
+  }
 
-    const request = await requestsCol.findOne({ _id: new ObjectId(id) });
-    if (!request) return res.status(404).send({ msg: 'Request not found' });
+  switch (rule.type) {
+    case 'string':
+    case 'email': {
+      if (typeof value !== 'string' && typeof value !== 'number') {
+        return fail(field, 'must be a string');
+      }
+      const str = rule.trim === false ? String(value) : String(value).trim();
+      if (!str && rule.required) return fail(field, 'is required');
+      if (rule.type === 'email' && !EMAIL_RE.test(str)) {
+        return fail(field, 'must be a valid email');
+      }
+      if (rule.min && str.length < rule.min) {
+        return fail(field, `must be at least ${rule.min} characters`);
+      }
+      if (rule.max && str.length > rule.max) {
+        return fail(field, `must be at most ${rule.max} characters`);
+      }
+      if (rule.enum && !rule.enum.includes(str)) {
+        return fail(field, `must be one of ${rule.enum.join(', ')}`);
+      }
+      return str;
+    }
 
-    if (request.requestStatus !== 'approved') {
-      return res
-        .status(400)
-        .send({ msg: 'Only approved requests can be returned' });
+    case 'number': {
+      const num = typeof value === 'string' ? Number(value.trim()) : value;
+      if (typeof num !== 'number' || !Number.isFinite(num)) {
+        return fail(field, 'must be a number');
+      }
+      if (rule.integer && !Number.isInteger(num)) {
+        return fail(field, 'must be a whole number');
+      }
+      if (rule.min !== undefined && num < rule.min) {
+        return fail(field, `must be at least ${rule.min}`);
+      }
+      if (rule.max !== undefined && num > rule.max) {
+        return fail(field, `must be at most ${rule.max}`);
+      }
+      return num;
     }
-    if (request.assetType !== 'Returnable') {
-      return res
-        .status(400)
-        .send({ msg: 'Only returnable assets can be returned' });
+
+    case 'boolean':
+      if (typeof value === 'boolean') return value;
+      if (Object.hasOwn(BOOLEANS, String(value))) {
+        return BOOLEANS[String(value)];
+      }
+      return fail(field, 'must be true or false');
+
+    case 'date': {
+      const date =
+        typeof value === 'string' || typeof value === 'number'
+          ? new Date(value)
+          : null;
+      if (!date || isNaN(date)) return fail(field, 'must be a valid date');
+      return date;
     }
 
-    await requestsCol.updateOne(
-      { _id: new ObjectId(id) },
-      {
-        $set: {
-          requestStatus: 'returned',
-          returnDate: new Date(),
-        },
+    case 'objectId':
+      if (typeof value !== 'string' || !OBJECT_ID_RE.test(value)) {
+        return fail(field, 'must be a valid id');
       }
-    );
+      return value;
 
-    if (request.assetId) {
-      await assetsCol.updateOne(
-        { _id: new ObjectId(request.assetId) },
-        { $inc: { availableQuantity: 1 } }
+    case 'array':
+      if (!Array.isArray(value)) return fail(field, 'must be an array');
+      if (rule.min && value.length < rule.min) {
+        return fail(field, `must have at least ${rule.min} item(s)`);
+      }
+      if (rule.max && value.length > rule.max) {
+        return fail(field, `must have at most ${rule.max} items`);
+      }
+      return value.map((item, i) =>
+        checkField(rule.items, item, `${field}[${i}]`, fail)
       );
-    }
 
-    res.send({ msg: 'Asset returned' });
-  } catch (err) {
-    console.error('Return asset error:', err);
-    res.status(500).send({ msg: 'Server Error', error: err.toString() });
+    case 'object':
+      if (typeof value !== 'object' || Array.isArray(value)) {
+        return fail(field, 'must be an object');
+      }
+      return checkFields(rule.fields, value, `${field}.`, fail);
+
+    default:
+      return value;
   }
-});
+};
 
-// ==================== EMPLOYEE: MY TEAM ====================
+const checkFields = (fields, input, prefix, fail) => {
+  const out = {};
+  for (const [key, rule] of Object.entries(fields)) {
+    const value = checkField(rule, input?.[key], prefix + key, fail);
+    if (value !== undefined) out[key] = value;
+  }
+  return out;
+};
 
-// My Team (company-wise colleagues)
-app.get('/employee/my-team/:email', async (req, res) => {
-  try {
-    const { email } = req.params;
+const validate = schema => (req, res, next) => {
+  const errors = [];
+  const parsed = {};
 
-    const myApproved = await requestsCol
-      .find({ requesterEmail: email, requestStatus: 'approved' })
-      .toArray();
+  for (const location of ['params', 'query', 'body']) {
+    if (!schema[location]) continue;
+    const fail = (field, msg) => {
+      errors.push({ location, field, msg });
+    };
+    parsed[location] = checkFields(schema[location], req[location], '', fail);
+  }
 
-    if (myApproved.length === 0) {
-      return res.send([]);
-    }
+  if (errors.length) {
+    const [first] = errors;
+    return next(
+      httpError(400, `${first.field} ${first.msg}`, {
+        code: 'VALIDATION_ERROR',
+        errors,
+      })
+    );
+  }
 
-    const companySet = new Set();
-    myApproved.forEach(req => {
-      const cName = req.companyName || 'Unknown Company';
-      companySet.add(cName);
+  if (parsed.params) req.params = parsed.params;
+  if (parsed.body) req.body = parsed.body;
+  // req.query is a getter in Express 5, shadow it on the request
+  if (parsed.query) {
+    Object.defineProperty(req, 'query', {
+      value: parsed.query,
+      writable: true,
     });
+  }
+  next();
+};
+
+// Rules shared by many routes
+const requiredId = { type: 'objectId', required: true };
+const requiredEmail = { type: 'email', required: true, max: 254 };
+const passwordRule = {
+  type: 'string',
+  required: true,
+  min: 6,
+  max: 128,
+  trim: false,
+};
+const notesRule = { type: 'string', max: 1000 };
+
+// ===== Transactions & inventory =====
+
+// Error carrying an HTTP status (and optionally a code and field errors),
+// thrown out of transactions and validators
+const httpError = (status, msg, extra) =>
+  Object.assign(new Error(msg), { status, ...extra });
+
+// Run fn(session) inside a MongoDB transaction (retried on transient errors)
+const withTransaction = async fn => {
+  const session = client.startSession();
+  try {
+    return await session.withTransaction(() => fn(session));
+  } finally {
+    await session.endSession();
+  }
+};
+
+// Units a request line holds: its approved quantity, or one for requests
+// made before lines had quantities
+const HELD_QUANTITY = { $ifNull: ['$approvedQuantity', 1] };
+
+const sumUnitsHeld = async (filter, session) => {
+  const [row] = await requestsCol
+    .aggregate(
+      [
+        { $match: filter },
+        { $group: { _id: null, units: { $sum: HELD_QUANTITY } } },
+      ],
+      { session }
+    )
+    .toArray();
+  return row?.units || 0;
+};
+
+// Units of an asset currently out with employees (including returns HR
+// hasn't confirmed yet)
+const countUnitsOut = (assetId, session) =>
+  sumUnitsHeld(
+    { assetId, requestStatus: { $in: ['approved', 'return-pending'] } },
+    session
+  );
+
+// Units written off after a return inspection or retired by HR
+const countWrittenOff = asset =>
+  (asset.damagedQuantity || 0) +
+  (asset.lostQuantity || 0) +
+  (asset.retiredQuantity || 0);
+
+// Recompute availableQuantity as total minus units out and written off.
+// Writing the asset document inside the transaction makes concurrent
+// approvals conflict.
+const syncAvailableQuantity = async (assetId, companyId, session) => {
+  const asset = await assetsCol.findOne(
+    { _id: assetId, companyId },
+    { session }
+  );
+  if (!asset) throw httpError(404, 'Asset not found');
+
+  const unitsOut = await countUnitsOut(asset._id, session);
+  const available = asset.productQuantity - unitsOut - countWrittenOff(asset);
+  if (available < 0) throw httpError(409, 'Asset is out of stock');
+
+  await assetsCol.updateOne(
+    { _id: asset._id },
+    { $set: { availableQuantity: available } },
+    { session }
+  );
+  return available;
+};
+
+// ===== Serialized units =====
+
+const UNIT_STATUSES = ['in-stock', 'assigned', 'in-repair', 'retired'];
+
+// asset counter that mirrors units sitting in a status
+const UNIT_STATUS_COUNTERS = {
+  'in-repair': 'damagedQuantity',
+  retired: 'retiredQuantity',
+};
+
+// Build unit documents for an asset from [{ serialNumber, tagCode }]
+const buildUnits = (asset, units, by, startAt = 0) =>
+  units.map((unit, i) => ({
+    assetId: asset._id,
+    companyId: asset.companyId,
+    productName: asset.productName,
+    serialNumber: unit.serialNumber || null,
+    tagCode:
+      unit.tagCode ||
+      `AV-${asset._id.toString().slice(-6).toUpperCase()}-${startAt + i + 1}`,
+    status: 'in-stock',
+    assignedTo: null,
+    requestId: null,
+    createdAt: new Date(),
+    history: [{ action: 'created', by, at: new Date() }],
+  }));
+
+// Once an asset has units they must cover its whole productQuantity:
+// approvals hand out units, so untracked stock could never be assigned.
+// Pads `units` with blank entries, which get generated tag codes.
+const padUnits = (units, quantity) => [
+  ...units,
+  ...Array.from({ length: Math.max(quantity - units.length, 0) }, () => ({})),
+];
+
+const countUnits = (assetId, session) =>
+  unitsCol.countDocuments({ assetId }, { session });
+
+// Units for stock added to an asset that is tracked by unit
+const growUnits = async ({ asset, quantity, by, session }) => {
+  const existing = await countUnits(asset._id, session);
+  if (!existing || quantity <= existing) return 0;
+
+  const docs = buildUnits(
+    asset,
+    padUnits([], quantity - existing),
+    by,
+    existing
+  );
+  await unitsCol.insertMany(docs, { session });
+  return docs.length;
+};
+
+// Hand units of an asset to an employee, one per approved unit of the
+// request: the chosen unit first, then the first free ones. Returns [] for
+// assets that aren't tracked by unit.
+const assignUnits = async ({ request, unitId, by, session }) => {
+  const tracked = await unitsCol.countDocuments(
+    { assetId: request.assetId },
+    { session, limit: 1 }
+  );
+  if (!tracked) return [];
+
+  const units = [];
+  for (let i = 0; i < (request.approvedQuantity || 1); i++) {
+    const filter = { assetId: request.assetId, status: 'in-stock' };
+    if (unitId && i === 0) filter._id = new ObjectId(unitId);
+
+    const unit = await unitsCol.findOneAndUpdate(
+      filter,
+      {
+        $set: {
+          status: 'assigned',
+          assignedTo: request.requesterEmail,
+          requestId: request._id,
+        },
+        $push: {
+          history: {
+            action: 'assigned',
+            employeeEmail: request.requesterEmail,
+            requestId: request._id,
+            by,
+            at: new Date(),
+          },
+        },
+      },
+      { session, returnDocument: 'after' }
+    );
+    if (!unit) {
+      throw httpError(
+        409,
+        unitId && i === 0
+          ? 'Unit is not in stock'
+          : 'Not enough units of this asset are in stock'
+      );
+    }
+    units.push(unit);
+  }
+
+  const joined = key =>
+    units
+      .map(u => u[key])
+      .filter(Boolean)
+      .join(', ') || null;
+
+  await requestsCol.updateOne(
+    { _id: request._id },
+    {
+      $set: {
+        unitId: units[0]._id,
+        unitIds: units.map(u => u._id),
+        serialNumber: joined('serialNumber'),
+        tagCode: joined('tagCode'),
+      },
+    },
+    { session }
+  );
+  return units;
+};
+
+// Release the units held by a request into their post-return status
+const releaseUnits = async ({ request, status, by, notes, session }) => {
+  if (!request.unitId) return;
+
+  await unitsCol.updateMany(
+    { requestId: request._id },
+    {
+      $set: { status, assignedTo: null, requestId: null },
+      $push: {
+        history: {
+          action: 'returned',
+          employeeEmail: request.requesterEmail,
+          requestId: request._id,
+          status,
+          notes: notes || '',
+          by,
+          at: new Date(),
+        },
+      },
+    },
+    { session }
+  );
+};
+
+// ===== User serialization =====
+
+// Fields each audience may see of a user. Anything not listed (password
+// hash, lockout counters, Google id, ...) never leaves the server.
+const PUBLIC_USER_FIELDS = [
+  'name',
+  'email',
+  'profileImage',
+  'position',
+  'dateOfBirth',
+];
+const HR_USER_FIELDS = [
+  '_id',
+  'role',
+  ...PUBLIC_USER_FIELDS,
+  'approved',
+  'emailVerified',
+  'createdAt',
+];
+const USER_VIEWS = {
+  // colleagues
+  public: PUBLIC_USER_FIELDS,
+  // HR looking at employees of their company
+  hr: HR_USER_FIELDS,
+  // the user themselves
+  self: [
+    ...HR_USER_FIELDS,
+    'companyId',
+    'companyName',
+    'companyLogo',
+    'subscription',
+    'packageLimit',
+    'currentEmployees',
+    'providers',
+    'emailVerifiedAt',
+    'passwordChangedAt',
+    'updatedAt',
+  ],
+};
+
+const serializeUser = (user, view = 'public') => {
+  if (!user) return null;
+  return Object.fromEntries(
+    USER_VIEWS[view].filter(key => key in user).map(key => [key, user[key]])
+  );
+};
+
+// ===== Audit trail =====
+
+// Fields never copied into audit snapshots (unit history is its own log)
+const AUDIT_OMITTED = [
+  'password',
+  'failedLogins',
+  'lockedUntil',
+  'googleId',
+  'history',
+];
+
+const auditSnapshot = doc => {
+  if (!doc) return null;
+  const copy = { ...doc };
+  AUDIT_OMITTED.forEach(field => delete copy[field]);
+  return copy;
+};
+
+// Top-level fields that differ between two snapshots
+const auditDiff = (before, after) => {
+  const changes = {};
+  const keys = new Set([
+    ...Object.keys(before || {}),
+    ...Object.keys(after || {}),
+  ]);
+  for (const key of keys) {
+    const from = before?.[key] ?? null;
+    const to = after?.[key] ?? null;
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes[key] = { from, to };
+    }
+  }
+  return changes;
+};
+
+const actorOf = req => ({
+  id: req.user.id,
+  email: req.user.email,
+  role: req.user.role,
+});
+
+// Append an entry to the audit log. Entries are never updated or deleted.
+// companyId is the company the action happened in (the acting HR's, or the
+// one owning the record); an employee's own account events, like
+// registering, happen in none and are shown to the companies the employee
+// works for or applied to (see /hr/audit-logs).
+const writeAudit = async ({
+  actor,
+  action,
+  entity,
+  entityId,
+  companyId,
+  before,
+  after,
+  session,
+}) => {
+  const beforeSnap = auditSnapshot(before);
+  const afterSnap = auditSnapshot(after);
+
+  await auditCol.insertOne(
+    {
+      companyId: companyId || null,
+      actor,
+      action,
+      entity,
+      entityId,
+      before: beforeSnap,
+      after: afterSnap,
+      changes: auditDiff(beforeSnap, afterSnap),
+      at: new Date(),
+    },
+    { session }
+  );
+};
+
+// ===== Notifications =====
+
+// Put a notification in the user's inbox and email it. Delivery problems are
+// logged, never surfaced to the caller.
+const notify = async (to, type, data) => {
+  if (!to) return;
+  try {
+    const { subject, text } = MAIL_TEMPLATES[type](data);
+    await notificationsCol.insertOne({
+      userEmail: to,
+      type,
+      title: subject,
+      message: text,
+      requestId: data._id || null,
+      read: false,
+      createdAt: new Date(),
+    });
+    await sendMail(to, type, data);
+  } catch (err) {
+    console.error(`Notify error (${type}):`, err);
+  }
+};
+
+// Notify many users at once: inbox entries are written in one go and the
+// emails are queued for the mail job, so large companies don't hold up the
+// request
+const notifyMany = async (recipients, type, data) => {
+  if (!recipients.length) return;
+  try {
+    const { subject, text } = MAIL_TEMPLATES[type](data);
+    const now = new Date();
+    await notificationsCol.insertMany(
+      recipients.map(to => ({
+        userEmail: to,
+        type,
+        title: subject,
+        message: text,
+        requestId: null,
+        read: false,
+        createdAt: now,
+      }))
+    );
+    await mailQueueCol.insertMany(
+      recipients.map(to => ({
+        to,
+        type,
+        data,
+        attempts: 0,
+        lockedUntil: null,
+        sentAt: null,
+        createdAt: now,
+      }))
+    );
+  } catch (err) {
+    console.error(`Notify error (${type}):`, err);
+  }
+};
+
+// ===== Scheduled jobs =====
+
+// Jobs take the current time as an argument so they can run against any
+// clock. A long-running server runs them on an interval; serverless
+// instances don't keep timers alive, so on Vercel they only run through
+// GET /cron/:job (Vercel Cron, see vercel.json).
+const scheduledJobs = new Map();
+
+const scheduleJob = (name, job, everyMs) => {
+  scheduledJobs.set(name, job);
+  if (process.env.VERCEL) return;
+
+  setInterval(() => {
+    job(new Date()).catch(err => console.error(`${name} job error:`, err));
+  }, everyMs).unref();
+};
+
+// ===== Mail queue =====
+
+const MAIL_QUEUE_SWEEP_MS = Number(process.env.MAIL_QUEUE_SWEEP_MS) || MINUTE;
+const MAIL_BATCH_SIZE = 100;
+const MAIL_MAX_ATTEMPTS = 5;
+const MAIL_LOCK_MS = 5 * MINUTE;
+
+// Send up to MAIL_BATCH_SIZE queued emails. Each is claimed first so
+// overlapping runs don't send it twice; failures are retried next run.
+const processMailQueue = async (now = new Date()) => {
+  let sent = 0;
+  let failed = 0;
+
+  for (let i = 0; i < MAIL_BATCH_SIZE; i++) {
+    const mail = await mailQueueCol.findOneAndUpdate(
+      {
+        sentAt: null,
+        attempts: { $lt: MAIL_MAX_ATTEMPTS },
+        $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }],
+      },
+      {
+        $set: { lockedUntil: new Date(now.getTime() + MAIL_LOCK_MS) },
+        $inc: { attempts: 1 },
+      },
+      { sort: { createdAt: 1 }, returnDocument: 'after' }
+    );
+    if (!mail) break;
+
+    try {
+      await sendMail(mail.to, mail.type, mail.data);
+      await mailQueueCol.updateOne(
+        { _id: mail._id },
+        { $set: { sentAt: new Date(), lockedUntil: null } }
+      );
+      sent++;
+    } catch (err) {
+      console.error(`Queued mail error (${mail.type}):`, err);
+      await mailQueueCol.updateOne(
+        { _id: mail._id },
+        { $set: { lockedUntil: null, lastError: err.message } }
+      );
+      failed++;
+    }
+  }
+
+  return { sent, failed };
+};
+
+scheduleJob('mail', processMailQueue, MAIL_QUEUE_SWEEP_MS);
+
+// ===== PDF documents & signed receipts =====
+
+
+const formatDate = date =>
+  date ? new Date(date).toISOString().slice(0, 10) : '-';
+
+// Stream a PDF built by build(doc) as a download
+const sendPdf = (res, filename, build) => {
+  const doc = new PDFDocument({ size: 'A4', margin: 50 });
+  res.type('application/pdf').attachment(filename);
+  doc.pipe(res);
+  build(doc);
+  doc.end();
+};
+
+const pdfHeader = (doc, title, subtitle) => {
+  doc.fontSize(18).text(title);
+  doc
+    .fontSize(10)
+    .fillColor('gray')
+    .text(`${subtitle} · Generated ${new Date().toUTCString()}`);
+  doc.moveDown().fillColor('black');
+};
+
+// Fixed-width table: columns are [{ label, key, width }]
+const pdfTable = (doc, columns, rows) => {
+  const left = doc.page.margins.left;
+
+  const drawRow = (cells, bold) => {
+    if (doc.y > doc.page.height - doc.page.margins.bottom - 20) doc.addPage();
+    const y = doc.y;
+    let x = left;
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9);
+    columns.forEach((col, i) => {
+      doc.text(String(cells[i] ?? ''), x, y, {
+        width: col.width - 6,
+        lineBreak: false,
+        ellipsis: true,
+      });
+      x += col.width;
+    });
+    doc.x = left;
+    doc.y = y + 16;
+  };
+
+  drawRow(columns.map(c => c.label), true);
+  rows.forEach(row => drawRow(columns.map(c => row[c.key])));
+  doc.font('Helvetica');
+};
+
+// HMAC over the receipt's fixed fields, so a printed receipt can be
+// verified. Keyed with its own secret, never the JWT one.
+const signReceipt = receipt => {
+  if (!process.env.RECEIPT_SECRET) {
+    throw new Error('RECEIPT_SECRET is not set');
+  }
+
+  return createHmac('sha256', process.env.RECEIPT_SECRET)
+    .update(
+      JSON.stringify([
+        receipt.receiptNo,
+        String(receipt.requestId),
+        String(receipt.companyId),
+        receipt.employeeEmail,
+        receipt.assetName,
+        receipt.tagCode || '',
+        new Date(receipt.issuedAt).toISOString(),
+      ])
+    )
+    .digest('hex');
+};
+
+const sameSignature = (a, b) => {
+  const given = Buffer.from(String(a));
+  const expected = Buffer.from(String(b));
+  return given.length === expected.length && timingSafeEqual(given, expected);
+};
+
+// Create the hand-over receipt for an approved request line
+const issueReceipt = async ({ request, units, issuedBy, session }) => {
+  const receipt = {
+    receiptNo: `AV-${randomBytes(5).toString('hex').toUpperCase()}`,
+    requestId: request._id,
+    companyId: request.companyId,
+    companyName: request.companyName,
+    employeeEmail: request.requesterEmail,
+    employeeName: request.requesterName,
+    assetId: request.assetId,
+    assetName: request.assetName,
+    assetType: request.assetType,
+    quantity: request.approvedQuantity || 1,
+    tagCode: units.map(u => u.tagCode).join(', ') || null,
+    serialNumber:
+      units
+        .map(u => u.serialNumber)
+        .filter(Boolean)
+        .join(', ') || null,
+    issuedBy,
+    issuedAt: new Date(),
+  };
+  receipt.signature = signReceipt(receipt);
+
+  await receiptsCol.insertOne(receipt, { session });
+  await requestsCol.updateOne(
+    { _id: request._id },
+    {
+      $set: {
+        receiptNo: receipt.receiptNo,
+        receiptUrl: `/employee/requests/${request._id}/receipt`,
+      },
+    },
+    { session }
+  );
+  return receipt;
+};
+
+const renderReceipt = (doc, receipt) => {
+  pdfHeader(doc, 'Asset Hand-over Receipt', receipt.companyName);
+
+  const line = (label, value) =>
+    doc
+      .font('Helvetica-Bold')
+      .text(`${label}: `, { continued: true })
+      .font('Helvetica')
+      .text(value || '-');
+
+  doc.fontSize(11);
+  line('Receipt no.', receipt.receiptNo);
+  line('Issued', new Date(receipt.issuedAt).toUTCString());
+  line('Issued by', receipt.issuedBy);
+  doc.moveDown();
+  line('Employee', `${receipt.employeeName} <${receipt.employeeEmail}>`);
+  line('Asset', receipt.assetName);
+  line('Type', receipt.assetType);
+  line('Quantity', String(receipt.quantity || 1));
+  line('Tag code', receipt.tagCode);
+  line('Serial number', receipt.serialNumber);
+  doc.moveDown(2);
+
+  doc
+    .fontSize(8)
+    .fillColor('gray')
+    .text(`Signature: ${receipt.signature}`)
+    .text(
+      `Verify at /receipts/${receipt.receiptNo}/verify?signature=${receipt.signature}`
+    );
+};
+
+// ==================== AUTH ====================
+
+// HR Registration
+
+app.post(
+  '/auth/register/hr',
+  limits.registerIp,
+  limits.registerAccount,
+  validate({
+    body: {
+      name: { type: 'string', required: true, max: 100 },
+      email: requiredEmail,
+      password: passwordRule,
+      companyName: { type: 'string', required: true, max: 100 },
+      companyLogo: { type: 'string', required: true, max: 2048 },
+      dateOfBirth: { type: 'date' },
+    },
+  }),
+  async (req, res, next) => {
+    try {
+      const { name, email, password, companyName, companyLogo, dateOfBirth } =
+        req.body;
+
+      const exist = await usersCol.findOne({ email });
+      if (exist) return res.status(400).send({ msg: 'Email already exists' });
+
+      const hashed = await bcrypt.hash(password, 10);
+
+      const hrId = new ObjectId();
+      const companyId = new ObjectId();
+
+      const hr = {
+        _id: hrId,
+        name,
+        email,
+        password: hashed,
+        role: 'hr',
+        companyId,
+        companyName,
+        companyLogo,
+        dateOfBirth,
+        subscription: 'basic',
+        packageLimit: 5,
+        currentEmployees: 0,
+        approved: true,
+        emailVerified: false,
+        providers: ['password'],
+        createdAt: new Date(),
+      };
+
+      // no company is left behind if the account can't be created
+      await withTransaction(async session => {
+        await companiesCol.insertOne(
+          {
+            _id: companyId,
+            name: companyName,
+            logo: companyLogo,
+            ownerId: hrId,
+            ownerEmail: email,
+            createdAt: new Date(),
+          },
+          { session }
+        );
+        await usersCol.insertOne(hr, { session });
+
+        await writeAudit({
+          actor: { id: hrId, email, role: 'hr' },
+          action: 'user.register',
+          entity: 'user',
+          entityId: hrId,
+          companyId,
+          after: hr,
+          session,
+        });
+      });
+
+      await sendAuthEmail(hr, 'verify-email', '/verify-email');
+
+      res.status(201).send({ msg: 'HR Registered', hrId, companyId });
+    } catch (err) {
+      if (err.code === 11000) {
+        return res.status(400).send({ msg: 'Email already exists' });
+      }
+      next(err);
+    }
+  }
+);
+
+// Employee Registration
+
+app.post(
+  '/auth/register/employee',
+  limits.registerIp,
+  limits.registerAccount,
+  validate({
+    body: {
+      name: { type: 'string', required: true, max: 100 },
+      email: requiredEmail,
+      password: passwordRule,
+      dateOfBirth: { type: 'date' },
+      inviteToken: { type: 'string', max: 200 },
+    },
+  }),
+  async (req, res, next) => {
+    try {
+      const { name, email, password, dateOfBirth, inviteToken } = req.body;
+
+      const exist = await usersCol.findOne({ email });
+      if (exist) return res.status(400).send({ msg: 'Email already exists' });
+
+      // an invite proves the email and the company's approval
+      const invite = inviteToken ? await findOpenInvite(inviteToken) : null;
+      if (inviteToken && !invite) {
+        return res
+          .status(400)
+          .send({ msg: 'Invite link is invalid or expired' });
+      }
+      if (invite && invite.email !== email) {
+        return res
+          .status(400)
+          .send({ msg: 'This invite was sent to a different email' });
+      }
+
+      const hashed = await bcrypt.hash(password, 10);
+
+      const employee = {
+        _id: new ObjectId(),
+        name,
+        email,
+        password: hashed,
+        role: 'employee',
+        dateOfBirth,
+        approved: Boolean(invite),
+        emailVerified: Boolean(invite),
+        ...(invite && { emailVerifiedAt: new Date() }),
+        providers: ['password'],
+        createdAt: new Date(),
+      };
+
+      await withTransaction(async session => {
+        await usersCol.insertOne(employee, { session });
+
+        await writeAudit({
+          actor: { id: employee._id, email, role: 'employee' },
+          action: 'user.register',
+          entity: 'user',
+          entityId: employee._id,
+          companyId: invite?.companyId,
+          after: employee,
+          session,
+        });
+
+        if (invite) await acceptInvite({ invite, user: employee, session });
+      });
+
+      if (!invite) {
+        await sendAuthEmail(employee, 'verify-email', '/verify-email');
+      }
+
+      res.status(201).send({
+        msg: invite
+          ? `Employee Registered, joined ${invite.companyName}`
+          : 'Employee Registered, waiting approval',
+        employeeId: employee._id,
+      });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// Login (JWT)
+
+app.post(
+  '/auth/login',
+  limits.loginIp,
+  validate({
+    body: {
+      email: requiredEmail,
+      password: { type: 'string', required: true, max: 128, trim: false },
+    },
+  }),
+  async (req, res, next) => {
+    try {
+      const { email, password } = req.body;
+
+      // counted case-insensitively, like the rate limits
+      const account = email.toLowerCase();
+      const lockedUntil = await loginLockedUntil(account);
+      if (lockedUntil) return tooManyRequests(res, lockedUntil);
+
+      const user = await usersCol.findOne({ email });
+
+      // same answer for unknown emails, Google-only accounts and bad passwords
+      const valid = await bcrypt.compare(
+        password,
+        user?.password || DUMMY_PASSWORD_HASH
+      );
+      if (!valid || !user?.password) {
+        await recordLoginFailure(account);
+        return res.status(400).send({ msg: 'Invalid email or password' });
+      }
+
+      await loginFailuresCol.deleteOne({ _id: account });
+
+      // accounts from before verification existed have no emailVerified flag
+      if (
+        user.emailVerified === false &&
+        EMAIL_VERIFICATION_POLICY === 'block'
+      ) {
+        return res.status(403).send({
+          msg: 'Please verify your email before logging in',
+          code: 'EMAIL_NOT_VERIFIED',
+        });
+      }
+
+      const { token, refreshToken } = await createSession(user, req);
+
+      // 'warn' logs them in but lets the client ask them to verify
+      const warning =
+        user.emailVerified === false && EMAIL_VERIFICATION_POLICY === 'warn'
+          ? 'EMAIL_NOT_VERIFIED'
+          : undefined;
+
+      res.send({
+        token,
+        refreshToken,
+        user: serializeUser(user, 'self'),
+        warning,
+      });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// Google sign-in: link by verified email or create an employee account
+
+app.post(
+  '/auth/google',
+  limits.loginIp,
+  validate({
+    body: { idToken: { type: 'string', required: true, max: 4096 } },
+  }),
+  async (req, res, next) => {
+    try {
+      const { idToken } = req.body;
+
+      const profile = await verifyGoogleIdToken(idToken);
+      if (!profile)
+        return res.status(401).send({ msg: 'Invalid Google token' });
+      if (!profile.email || profile.email_verified !== true) {
+        return res.status(401).send({ msg: 'Google email is not verified' });
+      }
+
+      let user = await usersCol.findOne({ email: profile.email });
+
+      if (user) {
+        if (user.googleId && user.googleId !== profile.sub) {
+          return res
+            .status(409)
+            .send({ msg: 'Email is linked to another Google account' });
+        }
+
+        // accounts from before providers were tracked signed up with a password
+        const providers = user.providers || (user.password ? ['password'] : []);
+
+        if (!user.googleId) {
+          // nobody proved they own an unverified email: whoever set its
+          // password may not be the Google account's owner, so drop it
+          const unverified = user.emailVerified === false;
+
+          user = await usersCol.findOneAndUpdate(
+            { _id: user._id },
+            {
+              $set: {
+                googleId: profile.sub,
+                providers: unverified
+                  ? ['google']
+                  : [...new Set([...providers, 'google'])],
+                emailVerified: true,
+                ...(unverified && { password: null }),
+              },
+            },
+            { returnDocument: 'after' }
+          );
+          if (unverified) {
+            await revokeSessions({ userId: user._id }, 'unverified-link');
+          }
+
+          await writeAudit({
+            actor: { id: user._id, email: user.email, role: user.role },
+            action: 'user.link-provider',
+            entity: 'user',
+            entityId: user._id,
+            companyId: user.companyId,
+            before: { providers },
+            after: { providers: user.providers },
+          });
+        }
+      } else {
+        const employee = {
+          name: profile.name || profile.email,
+          email: profile.email,
+          password: null,
+          role: 'employee',
+          profileImage: profile.picture || '',
+          approved: false,
+          emailVerified: true,
+          providers: ['google'],
+          googleId: profile.sub,
+          createdAt: new Date(),
+        };
+
+        const result = await usersCol.insertOne(employee);
+        user = { ...employee, _id: result.insertedId };
+
+        await writeAudit({
+          actor: { id: user._id, email: user.email, role: 'employee' },
+          action: 'user.register',
+          entity: 'user',
+          entityId: user._id,
+          after: { ...employee, provider: 'google' },
+        });
+      }
+
+      const { token, refreshToken } = await createSession(user, req);
+
+      res.send({ token, refreshToken, user: serializeUser(user, 'self') });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// Verify email
+
+app.post(
+  '/auth/verify-email',
+  limits.authIp,
+  validate({ body: { token: { type: 'string', required: true, max: 200 } } }),
+  async (req, res, next) => {
+    try {
+      const { token } = req.body;
+
+      const record = await consumeAuthToken(token, 'verify-email');
+      if (!record) {
+        return res.status(400).send({ msg: 'Invalid or expired link' });
+      }
+
+      await usersCol.updateOne(
+        { _id: record.userId },
+        { $set: { emailVerified: true, emailVerifiedAt: new Date() } }
+      );
+
+      res.send({ msg: 'Email verified' });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// Resend verification email (same answer whether or not the account exists)
+
+app.post(
+  '/auth/verify-email/resend',
+  limits.authIp,
+  limits.emailAccount,
+  validate({ body: { email: requiredEmail } }),
+  async (req, res, next) => {
+    try {
+      const { email } = req.body;
+      const user = await usersCol.findOne({ email });
+      if (user && user.emailVerified === false) {
+        await sendAuthEmail(user, 'verify-email', '/verify-email');
+      }
+      res.send({
+        msg: 'If the account needs verifying, an email is on its way',
+      });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// Forgot password (same answer whether or not the account exists)
+
+app.post(
+  '/auth/password/forgot',
+  limits.authIp,
+  limits.emailAccount,
+  validate({ body: { email: requiredEmail } }),
+  async (req, res, next) => {
+    try {
+      const { email } = req.body;
+      const user = await usersCol.findOne({ email });
+      if (user) await sendAuthEmail(user, 'password-reset', '/reset-password');
+      res.send({ msg: 'If the account exists, a reset link is on its way' });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// Reset password with an emailed token (logs out every session)
+
+app.post(
+  '/auth/password/reset',
+  limits.authIp,
+  validate({
+    body: {
+      token: { type: 'string', required: true, max: 200 },
+      password: passwordRule,
+    },
+  }),
+  async (req, res, next) => {
+    try {
+      const { token, password } = req.body;
+
+      const record = await consumeAuthToken(token, 'password-reset');
+      if (!record) {
+        return res.status(400).send({ msg: 'Invalid or expired link' });
+      }
+
+      // the link proved control of the inbox, so it verifies the email too
+      await usersCol.updateOne(
+        { _id: record.userId },
+        {
+          $set: {
+            password: await bcrypt.hash(password, 10),
+            passwordChangedAt: new Date(),
+            emailVerified: true,
+          },
+          $addToSet: { providers: 'password' },
+        }
+      );
+      await revokeSessions({ userId: record.userId }, 'password-reset');
+
+      await writeAudit({
+        actor: { id: record.userId, email: record.email, role: null },
+        action: 'user.password-reset',
+        entity: 'user',
+        entityId: record.userId,
+      });
+
+      res.send({ msg: 'Password updated, please log in again' });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// Change password (keeps the current session, logs out the rest)
+
+app.post(
+  '/auth/password/change',
+  verifyToken,
+  limits.passwordUser,
+  validate({
+    body: {
+      currentPassword: {
+        type: 'string',
+        required: true,
+        max: 128,
+        trim: false,
+      },
+      newPassword: passwordRule,
+    },
+  }),
+  async (req, res, next) => {
+    try {
+      const { currentPassword, newPassword } = req.body;
+
+      const user = await usersCol.findOne({ _id: new ObjectId(req.user.id) });
+      if (!user) return res.status(404).send({ msg: 'User not found' });
+
+      const valid =
+        user.password && (await bcrypt.compare(currentPassword, user.password));
+      if (!valid) return res.status(400).send({ msg: 'Invalid password' });
+
+      await usersCol.updateOne(
+        { _id: user._id },
+        {
+          $set: {
+            password: await bcrypt.hash(newPassword, 10),
+            passwordChangedAt: new Date(),
+          },
+        }
+      );
+      await revokeSessions(
+        { userId: user._id, _id: { $ne: new ObjectId(req.user.sid) } },
+        'password-change'
+      );
+
+      await writeAudit({
+        actor: actorOf(req),
+        action: 'user.password-change',
+        entity: 'user',
+        entityId: user._id,
+        companyId: user.companyId,
+      });
+
+      res.send({ msg: 'Password changed' });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// Exchange a refresh token for a new access + refresh token pair
+
+app.post(
+  '/auth/refresh',
+  limits.authIp,
+  validate({
+    body: { refreshToken: { type: 'string', required: true, max: 200 } },
+  }),
+  async (req, res, next) => {
+    try {
+      const { refreshToken } = req.body;
+      const [sessionId, secret] = refreshToken.split('.');
+      if (!ObjectId.isValid(sessionId) || !secret) {
+        return res.status(401).send({ msg: 'Invalid refresh token' });
+      }
+
+      const session = await sessionsCol.findOne({
+        _id: new ObjectId(sessionId),
+      });
+      if (!session || session.revokedAt || session.expiresAt < new Date()) {
+        return res.status(401).send({ msg: 'Session expired or revoked' });
+      }
+
+      const presentedHash = hashToken(secret);
+      const nextSecret = nextRefreshSecret(session, secret);
+
+      // rotate only if the presented token is still the current one
+      const rotated = await sessionsCol.findOneAndUpdate(
+        { _id: session._id, tokenHash: presentedHash, revokedAt: null },
+        {
+          $set: {
+            tokenHash: hashToken(nextSecret),
+            lastUsedAt: new Date(),
+            rotatedAt: new Date(),
+          },
+          $push: { previousHashes: { $each: [presentedHash], $slice: -20 } },
+        }
+      );
+
+      // another tab just rotated this very token: hand back the same pair
+      const current = rotated
+        ? null
+        : await sessionsCol.findOne({ _id: session._id });
+      const concurrent =
+        current &&
+        !current.revokedAt &&
+        current.rotationKey &&
+        current.tokenHash === hashToken(nextSecret) &&
+        current.rotatedAt > new Date(Date.now() - REFRESH_GRACE_MS);
+
+      if (!rotated && !concurrent) {
+        // an already-rotated token came back: assume it was stolen
+        if ((current || session).previousHashes.includes(presentedHash)) {
+          await revokeSessions({ _id: session._id }, 'refresh-token-reuse');
+          return res
+            .status(401)
+            .send({ msg: 'Refresh token reuse detected, session revoked' });
+        }
+        return res.status(401).send({ msg: 'Invalid refresh token' });
+      }
+
+      const user = await usersCol.findOne({ _id: session.userId });
+      if (!user) return res.status(401).send({ msg: 'User not found' });
+
+      res.send({
+        token: signAccessToken(user, session._id),
+        refreshToken: `${session._id}.${nextSecret}`,
+      });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// Logout (current session, or every session with ?all=true)
+
+app.post(
+  '/auth/logout',
+  verifyToken,
+  validate({ query: { all: { type: 'boolean', default: false } } }),
+  async (req, res, next) => {
+    try {
+      const filter = req.query.all
+        ? { userId: new ObjectId(req.user.id) }
+        : { _id: new ObjectId(req.user.sid) };
+
+      const result = await revokeSessions(filter, 'logout');
+      res.send({ msg: 'Logged out', sessions: result.modifiedCount });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// ==================== HR: EMPLOYEES ====================
+
+// Companies an employee is actively affiliated with
+const getEmployeeCompanyIds = email =>
+  affiliationsCol.distinct('companyId', {
+    employeeEmail: email,
+    status: 'active',
+  });
+
+// Active employees of a company
+const getCompanyEmployees = async companyId => {
+  const emails = await affiliationsCol.distinct('employeeEmail', {
+    companyId,
+    status: 'active',
+  });
+  if (!emails.length) return [];
+
+  return usersCol.find({ email: { $in: emails }, role: 'employee' }).toArray();
+};
+
+// Affiliate an employee with a company, respecting the HR's package limit.
+// Returns 'exists', 'created' or 'limit'. Must run inside a transaction.
+const affiliateEmployee = async ({
+  companyId,
+  hrId,
+  employeeEmail,
+  session,
+}) => {
+  const active = await affiliationsCol.findOne(
+    { companyId, employeeEmail, status: 'active' },
+    { session }
+  );
+  if (active) return 'exists';
+
+  // take a seat only while employees plus other open invites stay below
+  // packageLimit
+  const invited = await invitesCol.countDocuments(
+    { ...openInvites(companyId), email: { $ne: employeeEmail } },
+    { session }
+  );
+  const hr = await usersCol.findOneAndUpdate(
+    {
+      _id: hrId,
+      $expr: {
+        $lt: [
+          { $add: [{ $ifNull: ['$currentEmployees', 0] }, invited] },
+          '$packageLimit',
+        ],
+      },
+    },
+    { $inc: { currentEmployees: 1 } },
+    { session }
+  );
+  if (!hr) return 'limit';
+
+  const company = await companiesCol.findOne({ _id: companyId }, { session });
+  const employee = await usersCol.findOne(
+    { email: employeeEmail },
+    { session }
+  );
+
+  await affiliationsCol.insertOne(
+    {
+      employeeId: employee?._id || null,
+      employeeEmail,
+      employeeName: employee?.name || '',
+      companyId,
+      companyName: company?.name || '',
+      companyLogo: company?.logo || '',
+      hrEmail: hr.email,
+      status: 'active',
+      affiliationDate: new Date(),
+      removedAt: null,
+    },
+    { session }
+  );
+
+  return 'created';
+};
+
+app.get('/hr/employees', verifyToken, verifyHR, async (req, res, next) => {
+  try {
+    const affiliations = await affiliationsCol
+      .find({ companyId: req.companyId, status: 'active' })
+      .sort({ affiliationDate: -1 })
+      .toArray();
+
+    const employees = await usersCol
+      .find({ email: { $in: affiliations.map(a => a.employeeEmail) } })
+      .toArray();
+    const byEmail = new Map(employees.map(e => [e.email, e]));
+
+    const assetCounts = await requestsCol
+      .aggregate([
+        { $match: { companyId: req.companyId, requestStatus: 'approved' } },
+        { $group: { _id: '$requesterEmail', count: { $sum: 1 } } },
+      ])
+      .toArray();
+    const countByEmail = new Map(assetCounts.map(c => [c._id, c.count]));
+
+    res.send(
+      affiliations.map(a => ({
+        ...serializeUser(byEmail.get(a.employeeEmail), 'hr'),
+        affiliationId: a._id,
+        affiliationDate: a.affiliationDate,
+        assetCount: countByEmail.get(a.employeeEmail) || 0,
+      }))
+    );
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Remove an employee from the company
+app.delete(
+  '/hr/employees/:affiliationId',
+  verifyToken,
+  verifyHR,
+  validate({ params: { affiliationId: requiredId } }),
+  async (req, res, next) => {
+    try {
+      const { affiliationId } = req.params;
+
+      const affiliation = await withTransaction(async session => {
+        const removed = await affiliationsCol.findOneAndUpdate(
+          {
+            _id: new ObjectId(affiliationId),
+            companyId: req.companyId,
+            status: 'active',
+          },
+          { $set: { status: 'removed', removedAt: new Date() } },
+          { session, returnDocument: 'after' }
+        );
+        if (!removed) return null;
+
+        // the seat is counted on the company owner's account
+        const company = await companiesCol.findOne(
+          { _id: req.companyId },
+          { session }
+        );
+        await usersCol.updateOne(
+          { _id: company.ownerId, currentEmployees: { $gt: 0 } },
+          { $inc: { currentEmployees: -1 } },
+          { session }
+        );
+
+        await writeAudit({
+          actor: actorOf(req),
+          action: 'affiliation.remove',
+          entity: 'affiliation',
+          entityId: removed._id,
+          companyId: req.companyId,
+          before: { ...removed, status: 'active', removedAt: null },
+          after: removed,
+          session,
+        });
+        return removed;
+      });
+      if (!affiliation) {
+        return res.status(404).send({ msg: 'Affiliation not found' });
+      }
+
+      res.send({ msg: 'Employee removed from company' });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// Force-logout an employee (e.g. after removing them)
+app.post(
+  '/hr/employees/:affiliationId/force-logout',
+  verifyToken,
+  verifyHR,
+  validate({ params: { affiliationId: requiredId } }),
+  async (req, res, next) => {
+    try {
+      const { affiliationId } = req.params;
+
+      const affiliation = await affiliationsCol.findOne({
+        _id: new ObjectId(affiliationId),
+        companyId: req.companyId,
+      });
+      if (!affiliation) {
+        return res.status(404).send({ msg: 'Affiliation not found' });
+      }
+
+      // sessions aren't tied to a company, so only log out employees who
+      // don't also work somewhere else
+      const elsewhere = await affiliationsCol.findOne({
+        employeeEmail: affiliation.employeeEmail,
+        companyId: { $ne: req.companyId },
+        status: 'active',
+      });
+      if (elsewhere) {
+        return res.status(409).send({
+          msg: 'This employee also works for another company; remove them from yours instead',
+        });
+      }
+
+      const result = await revokeSessions(
+        { email: affiliation.employeeEmail },
+        'forced-logout'
+      );
+
+      await writeAudit({
+        actor: actorOf(req),
+        action: 'user.force-logout',
+        entity: 'user',
+        entityId: affiliation.employeeId,
+        companyId: req.companyId,
+        after: { sessionsRevoked: result.modifiedCount },
+      });
+
+      res.send({
+        msg: 'Employee logged out',
+        sessions: result.modifiedCount,
+      });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// Employees who applied to a company, i.e. requested one of its assets.
+// Only they show up in its pending list and only it can approve them.
+const companyApplicantEmails = companyId =>
+  requestsCol.distinct('requesterEmail', { companyId });
+
+// Pending employees (JWT protected)
+
+app.get(
+  '/hr/employees/pending',
+  verifyToken,
+  verifyHR,
+  async (req, res, next) => {
+    try {
+      const employees = await usersCol
+        .find({
+          role: 'employee',
+          approved: false,
+          email: { $in: await companyApplicantEmails(req.companyId) },
+        })
+        .toArray();
+      res.send(employees.map(e => serializeUser(e, 'hr')));
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// Approve employee (JWT protected)
+app.patch(
+  '/hr/approve-employee/:id',
+  verifyToken,
+  verifyHR,
+  validate({ params: { id: requiredId } }),
+  async (req, res, next) => {
+    try {
+      const { id } = req.params;
+      const before = await usersCol.findOne({
+        _id: new ObjectId(id),
+        role: 'employee',
+        email: { $in: await companyApplicantEmails(req.companyId) },
+      });
+      if (!before) return res.status(404).send({ msg: 'Employee not found' });
+
+      const result = await usersCol.updateOne(
+        { _id: before._id },
+        { $set: { approved: true } }
+      );
+
+      await writeAudit({
+        actor: actorOf(req),
+        action: 'employee.approve',
+        entity: 'user',
+        entityId: before._id,
+        companyId: req.companyId,
+        before,
+        after: { ...before, approved: true },
+      });
+
+      res.send({ msg: 'Employee Approved', result });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// ==================== HR: INVITATIONS ====================
+
+// HR invites people by email with a single-use link. Until it is accepted,
+// revoked or expired an invite holds a seat of the company's package.
+
+const INVITE_TTL_DAYS = Number(process.env.INVITE_TTL_DAYS) || 7;
+
+const openInvites = (companyId, now = new Date()) => ({
+  companyId,
+  status: 'pending',
+  expiresAt: { $gt: now },
+});
+
+const inviteStatus = (invite, now = new Date()) =>
+  invite.status === 'pending' && invite.expiresAt <= now
+    ? 'expired'
+    : invite.status;
+
+const findOpenInvite = token =>
+  invitesCol.findOne({
+    tokenHash: hashToken(String(token)),
+    status: 'pending',
+    expiresAt: { $gt: new Date() },
+  });
+
+// Fail with 403 unless the company has a seat left for one more invite.
+// Seats are counted on the company owner's account, like approvals, and
+// writing it makes concurrent invites (from any of the company's HR) conflict.
+const reserveInviteSeat = async (req, session, excludeId) => {
+  const company = await companiesCol.findOne(
+    { _id: req.companyId },
+    { session }
+  );
+  const hr = await usersCol.findOneAndUpdate(
+    { _id: company?.ownerId },
+    { $set: { lastInviteAt: new Date() } },
+    { session, returnDocument: 'after' }
+  );
+  const filter = openInvites(req.companyId);
+  if (excludeId) filter._id = { $ne: excludeId };
+  const invited = await invitesCol.countDocuments(filter, { session });
+
+  if ((hr?.currentEmployees || 0) + invited >= (hr?.packageLimit || 0)) {
+    throw httpError(
+      403,
+      'Employee limit reached for your package. Upgrade to invite more employees.'
+    );
+  }
+};
+
+// New token and expiry for an invite; returns the plain token for the link
+const inviteToken = () => {
+  const token = randomBytes(32).toString('base64url');
+  return {
+    token,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + INVITE_TTL_DAYS * DAY_MS),
+  };
+};
+
+const sendInvite = async (invite, token) => {
+  try {
+    await sendMail(invite.email, 'auth.invite', {
+      companyName: invite.companyName,
+      invitedBy: invite.invitedBy,
+      expiresAt: invite.expiresAt,
+      link: `${CLIENT_URL}/join?token=${token}`,
+    });
+  } catch (err) {
+    console.error('Invite email error:', err);
+  }
+};
+
+// Use an invite for a user inside a transaction: affiliate them with the
+// company and approve the account
+const acceptInvite = async ({ invite, user, session }) => {
+  const claimed = await invitesCol.findOneAndUpdate(
+    { _id: invite._id, status: 'pending', expiresAt: { $gt: new Date() } },
+    {
+      $set: { status: 'accepted', acceptedAt: new Date(), userId: user._id },
+    },
+    { session }
+  );
+  if (!claimed) throw httpError(400, 'Invite link is invalid or expired');
+
+  const company = await companiesCol.findOne(
+    { _id: invite.companyId },
+    { session }
+  );
+  const affiliation = await affiliateEmployee({
+    companyId: invite.companyId,
+    hrId: company?.ownerId,
+    employeeEmail: user.email,
+    session,
+  });
+  if (affiliation === 'limit') {
+    throw httpError(403, `${invite.companyName} has no free seats left`);
+  }
+
+  await usersCol.updateOne(
+    { _id: user._id },
+    { $set: { approved: true } },
+    { session }
+  );
+
+  await writeAudit({
+    actor: { id: user._id, email: user.email, role: user.role },
+    action: 'invite.accept',
+    entity: 'invite',
+    entityId: invite._id,
+    companyId: invite.companyId,
+    before: invite,
+    after: { ...invite, status: 'accepted', userId: user._id },
+    session,
+  });
+
+  return affiliation;
+};
+
+// HR: invite someone to join the company
+app.post(
+  '/hr/invites',
+  verifyToken,
+  verifyHR,
+  validate({ body: { email: requiredEmail } }),
+  async (req, res, next) => {
+    try {
+      const { email } = req.body;
+
+      const user = await usersCol.findOne({ email });
+      if (user && user.role !== 'employee') {
+        return res.status(400).send({ msg: 'Only employees can be invited' });
+      }
+      const member = await affiliationsCol.findOne({
+        companyId: req.companyId,
+        employeeEmail: email,
+        status: 'active',
+      });
+      if (member) {
+        return res
+          .status(409)
+          .send({ msg: 'Already an employee of your company' });
+      }
+
+      const company = await companiesCol.findOne({ _id: req.companyId });
+      const { token, ...secret } = inviteToken();
+
+      const invite = await withTransaction(async session => {
+        const open = await invitesCol.findOne(
+          { ...openInvites(req.companyId), email },
+          { session }
+        );
+        if (open) throw httpError(409, 'An open invite already exists');
+
+        await reserveInviteSeat(req, session);
+
+        const doc = {
+          companyId: req.companyId,
+          companyName: company?.name || '',
+          email,
+          invitedBy: req.user.email,
+          status: 'pending',
+          ...secret,
+          createdAt: new Date(),
+          sentAt: new Date(),
+          resendCount: 0,
+        };
+        const { insertedId } = await invitesCol.insertOne(doc, { session });
+
+        await writeAudit({
+          actor: actorOf(req),
+          action: 'invite.create',
+          entity: 'invite',
+          entityId: insertedId,
+          companyId: req.companyId,
+          after: doc,
+          session,
+        });
+
+        return { ...doc, _id: insertedId };
+      });
+
+      await sendInvite(invite, token);
+
+      res.status(201).send({
+        msg: 'Invite sent',
+        id: invite._id,
+        expiresAt: invite.expiresAt,
+      });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// HR: invites of the company (?status=pending|accepted|revoked|expired)
+app.get(
+  '/hr/invites',
+  verifyToken,
+  verifyHR,
+  validate({
+    query: {
+      status: {
+        type: 'string',
+        enum: ['pending', 'accepted', 'revoked', 'expired'],
+      },
+    },
+  }),
+  async (req, res, next) => {
+    try {
+      const { status } = req.query;
+      const now = new Date();
+
+      const query = { companyId: req.companyId };
+      if (status === 'pending')
+        Object.assign(query, openInvites(req.companyId));
+      else if (status === 'expired') {
+        Object.assign(query, { status: 'pending', expiresAt: { $lte: now } });
+      } else if (status) query.status = status;
+
+      const invites = await invitesCol
+        .find(query, { projection: { tokenHash: 0 } })
+        .sort({ createdAt: -1 })
+        .toArray();
+      res.send(invites.map(i => ({ ...i, status: inviteStatus(i, now) })));
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// HR: send a pending (or expired) invite again with a fresh link
+app.post(
+  '/hr/invites/:id/resend',
+  verifyToken,
+  verifyHR,
+  validate({ params: { id: requiredId } }),
+  async (req, res, next) => {
+    try {
+      const { token, ...secret } = inviteToken();
+
+      const invite = await withTransaction(async session => {
+        const before = await invitesCol.findOne(
+          { _id: new ObjectId(req.params.id), companyId: req.companyId },
+          { session }
+        );
+        if (!before) throw httpError(404, 'Invite not found');
+        if (before.status !== 'pending') {
+          throw httpError(409, `Invite was already ${before.status}`);
+        }
+
+        // an expired invite gave its seat back
+        if (inviteStatus(before) === 'expired') {
+          await reserveInviteSeat(req, session, before._id);
+        }
+
+        const after = await invitesCol.findOneAndUpdate(
+          { _id: before._id, status: 'pending' },
+          {
+            $set: { ...secret, sentAt: new Date() },
+            $inc: { resendCount: 1 },
+          },
+          { session, returnDocument: 'after' }
+        );
+
+        await writeAudit({
+          actor: actorOf(req),
+          action: 'invite.resend',
+          entity: 'invite',
+          entityId: before._id,
+          companyId: req.companyId,
+          before,
+          after,
+          session,
+        });
+
+        return after;
+      });
+
+      await sendInvite(invite, token);
+
+      res.send({ msg: 'Invite sent again', expiresAt: invite.expiresAt });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// HR: revoke an invite that hasn't been accepted
+app.delete(
+  '/hr/invites/:id',
+  verifyToken,
+  verifyHR,
+  validate({ params: { id: requiredId } }),
+  async (req, res, next) => {
+    try {
+      const before = await invitesCol.findOneAndUpdate(
+        {
+          _id: new ObjectId(req.params.id),
+          companyId: req.companyId,
+          status: 'pending',
+        },
+        { $set: { status: 'revoked', revokedAt: new Date() } }
+      );
+      if (!before) {
+        return res.status(404).send({ msg: 'No pending invite found' });
+      }
+
+      await writeAudit({
+        actor: actorOf(req),
+        action: 'invite.revoke',
+        entity: 'invite',
+        entityId: before._id,
+        companyId: req.companyId,
+        before,
+        after: { ...before, status: 'revoked' },
+      });
+
+      res.send({ msg: 'Invite revoked' });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// Invite details for the sign-up page
+app.get(
+  '/invites/:token',
+  limits.authIp,
+  validate({ params: { token: { type: 'string', required: true, max: 200 } } }),
+  async (req, res, next) => {
+    try {
+      const invite = await findOpenInvite(req.params.token);
+      if (!invite) {
+        return res
+          .status(404)
+          .send({ msg: 'Invite link is invalid or expired' });
+      }
+
+      res.send({
+        email: invite.email,
+        companyName: invite.companyName,
+        expiresAt: invite.expiresAt,
+        registered: Boolean(await usersCol.findOne({ email: invite.email })),
+      });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// Employee: accept an invite with an existing account
+app.post(
+  '/invites/accept',
+  limits.authIp,
+  verifyToken,
+  verifyEmployee,
+  validate({ body: { token: { type: 'string', required: true, max: 200 } } }),
+  async (req, res, next) => {
+    try {
+      const invite = await findOpenInvite(req.body.token);
+      if (!invite) {
+        return res
+          .status(400)
+          .send({ msg: 'Invite link is invalid or expired' });
+      }
+      if (invite.email !== req.user.email) {
+        return res
+          .status(403)
+          .send({ msg: 'This invite was sent to a different email' });
+      }
+
+      const user = await usersCol.findOne({ email: req.user.email });
+      const affiliation = await withTransaction(session =>
+        acceptInvite({ invite, user, session })
+      );
+
+      res.send({
+        msg: `Joined ${invite.companyName}`,
+        affiliated: affiliation === 'created',
+      });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// ==================== HR: ASSETS ====================
+
+const ASSET_TYPES = ['Returnable', 'Non-returnable'];
+
+// Optional serial numbers / tag codes for units created with an asset
+const unitsRule = {
+  type: 'array',
+  max: 1000,
+  items: {
+    type: 'object',
+    fields: {
+      serialNumber: { type: 'string', max: 100 },
+      tagCode: { type: 'string', max: 100 },
+    },
+  },
+};
+
+// Field rules shared by Add Asset and the CSV/JSON import
+const assetRules = {
+  productName: { type: 'string', required: true, max: 200 },
+  productImage: { type: 'string', required: true, max: 2048 },
+  productType: { type: 'string', required: true, enum: ASSET_TYPES },
+  productQuantity: {
+    type: 'number',
+    required: true,
+    integer: true,
+    min: 1,
+    max: 100000,
+  },
+};
+
+// Add Asset
+app.post(
+  '/hr/assets',
+  verifyToken,
+  verifyHR,
+  validate({
+    body: {
+      ...assetRules,
+      defaultLoanDays: {
+        type: 'number',
+        integer: true,
+        min: 1,
+        max: 3650,
+        nullable: true,
+      },
+      unitValue: { type: 'number', min: 0, max: 1e9, nullable: true },
+      units: unitsRule,
+    },
+  }),
+  async (req, res, next) => {
+    try {
+      const {
+        productName,
+        productImage,
+        productType,
+        productQuantity,
+        defaultLoanDays,
+        unitValue,
+        units,
+      } = req.body;
+
+      const qty = productQuantity;
+      if (units?.length > qty) {
+        return res.status(400).send({ msg: 'More units than productQuantity' });
+      }
+
+      const company = await companiesCol.findOne({ _id: req.companyId });
+
+      const asset = {
+        _id: new ObjectId(),
+        productName,
+        productImage,
+        productType,
+        productQuantity: qty,
+        availableQuantity: qty,
+        defaultLoanDays: defaultLoanDays || null,
+        unitValue: unitValue ?? null,
+        dateAdded: new Date(),
+        companyId: req.companyId,
+        hrEmail: req.user.email,
+        companyName: company?.name || '',
+      };
+
+      // units listed for only part of the stock get generated tag codes
+      const unitDocs = units?.length
+        ? buildUnits(asset, padUnits(units, qty), req.user.email)
+        : [];
+
+      await withTransaction(async session => {
+        await assetsCol.insertOne(asset, { session });
+        if (unitDocs.length) await unitsCol.insertMany(unitDocs, { session });
+
+        await writeAudit({
+          actor: actorOf(req),
+          action: 'asset.create',
+          entity: 'asset',
+          entityId: asset._id,
+          companyId: req.companyId,
+          after: { ...asset, unitsCreated: unitDocs.length },
+          session,
+        });
+      });
+
+      res.status(201).send({
+        msg: 'Asset created',
+        id: asset._id,
+        unitsCreated: unitDocs.length,
+      });
+    } catch (err) {
+      if (err.code === 11000) {
+        return res
+          .status(409)
+          .send({ msg: 'Duplicate serial number or tag code' });
+      }
+      next(err);
+    }
+  }
+);
+
+// ==================== HR: ASSET IMPORT / EXPORT ====================
+
+const EXPORT_COLUMNS = [
+  'sku',
+  'productName',
+  'productType',
+  'productQuantity',
+  'availableQuantity',
+  'assignedQuantity',
+  'productImage',
+  'dateAdded',
+];
+
+// Minimal RFC 4180 parser (quoted fields, escaped quotes, CRLF) returning
+// one object per row keyed by the header line
+const parseCsv = text => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  const input = text.replace(/^\uFEFF/, '');
+  for (let i = 0; i < input.length; i++) {
+    const c = input[i];
+    if (quoted) {
+      if (c === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (c === '"') quoted = false;
+      else field += c;
+    } else if (c === '"') quoted = true;
+    else if (c === ',') {
+      row.push(field);
+      field = '';
+    } else if (c === '\n' || c === '\r') {
+      if (c === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else field += c;
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const [header = [], ...body] = rows.filter(r => r.some(cell => cell.trim()));
+  const keys = header.map(h => h.trim());
+  return body.map(r =>
+    Object.fromEntries(keys.map((key, i) => [key, (r[i] ?? '').trim()]))
+  );
+};
+
+const csvCell = value => {
+  let str = value instanceof Date ? value.toISOString() : String(value ?? '');
+  // keep spreadsheets from evaluating cells as formulas
+  if (/^[=+\-@]/.test(str) && isNaN(Number(str))) str = `'${str}`;
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+};
+
+const toCsv = (columns, rows) =>
+  [
+    columns.join(','),
+    ...rows.map(row => columns.map(col => csvCell(row[col])).join(',')),
+  ].join('\r\n');
+
+// Validate import rows against the company's inventory and work out what
+// each row would do. Nothing is written here.
+const planAssetImport = async ({ rows, matchBy, companyId }) => {
+  const existing = await assetsCol.find({ companyId }).toArray();
+  const byKey = new Map(existing.map(a => [a[matchBy], a]));
+  const seen = new Set();
+
+  const plan = [];
+  for (const [index, raw] of rows.entries()) {
+    if (typeof raw !== 'object' || raw === null || Array.isArray(raw)) {
+      plan.push({
+        row: index + 1,
+        action: null,
+        assetId: null,
+        errors: ['row must be an object'],
+        data: {},
+      });
+      continue;
+    }
+
+    const errors = [];
+    const sku = String(raw.sku ?? '').trim() || null;
+    const rawName = String(raw.productName ?? '').trim();
+    const key = matchBy === 'sku' ? sku : rawName;
+    const current = key ? byKey.get(key) : null;
+
+    // updates may leave the image blank to keep the current one, and may
+    // bring the quantity down to 0 like PATCH does
+    const rules = current
+      ? {
+          ...assetRules,
+          productQuantity: { ...assetRules.productQuantity, min: 0 },
+        }
+      : assetRules;
+    const fields = checkFields(
+      rules,
+      {
+        productName: raw.productName,
+        productType: raw.productType,
+        productQuantity: raw.productQuantity,
+        productImage:
+          String(raw.productImage ?? '').trim() || current?.productImage,
+      },
+      '',
+      (field, msg) => errors.push(`${field} ${msg}`)
+    );
+    const {
+      productName = rawName,
+      productType = '',
+      productQuantity: qty,
+      productImage,
+    } = fields;
+
+    if (matchBy === 'sku' && !sku) errors.push('sku is required');
+    if (key && seen.has(key)) errors.push(`duplicate ${matchBy} in file`);
+    if (key) seen.add(key);
+
+    if (current && !errors.length) {
+      const unavailable =
+        (await countUnitsOut(current._id)) + countWrittenOff(current);
+      if (qty < unavailable) {
+        errors.push(
+          `productQuantity cannot be lower than the ${unavailable} assigned or written-off units`
+        );
+      }
+      const unitCount = await countUnits(current._id);
+      if (qty < unitCount) {
+        errors.push(
+          `productQuantity cannot be lower than the asset's ${unitCount} units`
+        );
+      }
+    }
+
+    plan.push({
+      row: index + 1,
+      action: current ? 'update' : 'create',
+      assetId: current?._id || null,
+      errors,
+      data: {
+        productName,
+        productType,
+        productQuantity: qty,
+        productImage,
+        sku: sku || current?.sku || null,
+      },
+    });
+  }
+  return plan;
+};
+
+const countRows = (plan, action) =>
+  plan.filter(p => !p.errors.length && p.action === action).length;
+
+// Import assets from CSV (text/csv) or JSON ({ assets: [...] } or an array).
+// ?dryRun=true only validates; ?matchBy=sku|productName picks the upsert key.
+app.post(
+  '/hr/assets/import',
+  verifyToken,
+  verifyHR,
+  validate({
+    query: {
+      dryRun: { type: 'boolean', default: false },
+      matchBy: {
+        type: 'string',
+        enum: ['productName', 'sku'],
+        default: 'productName',
+      },
+    },
+  }),
+  async (req, res, next) => {
+    try {
+      const { dryRun, matchBy } = req.query;
+
+      let rows;
+      if (typeof req.body === 'string') rows = parseCsv(req.body);
+      else if (Array.isArray(req.body)) rows = req.body;
+      else rows = req.body?.assets;
+
+      if (!Array.isArray(rows) || !rows.length) {
+        return res.status(400).send({ msg: 'No rows to import' });
+      }
+
+      const plan = await planAssetImport({
+        rows,
+        matchBy,
+        companyId: req.companyId,
+      });
+
+      const report = {
+        dryRun,
+        matchBy,
+        summary: {
+          total: plan.length,
+          create: countRows(plan, 'create'),
+          update: countRows(plan, 'update'),
+          invalid: plan.filter(p => p.errors.length).length,
+        },
+        rows: plan.map(({ row, action, errors, data }) => ({
+          row,
+          action,
+          productName: data.productName,
+          errors,
+        })),
+      };
+
+      // all-or-nothing: any invalid row blocks the whole import
+      if (report.summary.invalid) {
+        return res.status(400).send({
+          code: 'IMPORT_INVALID',
+          msg: 'Some rows are invalid, nothing was imported',
+          ...report,
+        });
+      }
+      if (dryRun) return res.send(report);
+
+      const company = await companiesCol.findOne({ _id: req.companyId });
+
+      await withTransaction(async session => {
+        const creates = plan
+          .filter(p => p.action === 'create')
+          .map(({ data }) => ({
+            ...data,
+            availableQuantity: data.productQuantity,
+            dateAdded: new Date(),
+            companyId: req.companyId,
+            hrEmail: req.user.email,
+            companyName: company?.name || '',
+          }));
+        if (creates.length) await assetsCol.insertMany(creates, { session });
+
+        for (const { assetId, data } of plan.filter(
+          p => p.action === 'update'
+        )) {
+          await assetsCol.updateOne(
+            { _id: assetId, companyId: req.companyId },
+            { $set: data },
+            { session }
+          );
+          await growUnits({
+            asset: { _id: assetId, companyId: req.companyId, ...data },
+            quantity: data.productQuantity,
+            by: req.user.email,
+            session,
+          });
+          await syncAvailableQuantity(assetId, req.companyId, session);
+        }
+
+        await writeAudit({
+          actor: actorOf(req),
+          action: 'asset.import',
+          entity: 'asset',
+          entityId: null,
+          companyId: req.companyId,
+          after: { matchBy, ...report.summary },
+          session,
+        });
+      });
+
+      res.status(201).send({ ...report, msg: 'Import complete' });
+    } catch (err) {
+      if (err.code === 11000) {
+        return res.status(409).send({ msg: 'Duplicate sku in inventory' });
+      }
+      next(err);
+    }
+  }
+);
+
+// Inventory with available and assigned counts, one row per asset
+const getInventoryRows = async companyId => {
+  const assets = await assetsCol
+    .find({ companyId })
+    .sort({ productName: 1 })
+    .toArray();
+
+  const assigned = await requestsCol
+    .aggregate([
+      {
+        $match: {
+          companyId,
+          requestStatus: { $in: ['approved', 'return-pending'] },
+        },
+      },
+      { $group: { _id: '$assetId', count: { $sum: HELD_QUANTITY } } },
+    ])
+    .toArray();
+  const assignedById = new Map(assigned.map(a => [String(a._id), a.count]));
+
+  return assets.map(asset => ({
+    sku: asset.sku || '',
+    productName: asset.productName,
+    productType: asset.productType,
+    productQuantity: asset.productQuantity,
+    availableQuantity: asset.availableQuantity,
+    assignedQuantity: assignedById.get(String(asset._id)) || 0,
+    productImage: asset.productImage || '',
+    dateAdded: asset.dateAdded,
+  }));
+};
+
+// Export the company's inventory with available and assigned counts
+// (?format=csv|json). The CSV can be edited and imported back.
+app.get(
+  '/hr/assets/export',
+  verifyToken,
+  verifyHR,
+  validate({
+    query: {
+      format: { type: 'string', enum: ['csv', 'json'], default: 'csv' },
+    },
+  }),
+  async (req, res, next) => {
+    try {
+      const { format } = req.query;
+      const rows = await getInventoryRows(req.companyId);
+
+      if (format === 'json') return res.send(rows);
+
+      res
+        .type('text/csv')
+        .attachment('assets.csv')
+        .send(toCsv(EXPORT_COLUMNS, rows));
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// Get all assets
+// app.get('/hr/assets', async (req, res) => {
+//   try {
+//     const assets = await assetsCol.find({}).toArray();
+//     res.send(assets);
+//   } catch (err) {
+//     console.error('Get assets error:', err);
+//     res.status(500).send({ msg: 'Server Error', error: err.toString() });
+//   }
+// });
+
+// Get single asset by id
+
+app.get(
+  '/hr/assets/:id',
+  verifyToken,
+  verifyHR,
+  validate({ params: { id: requiredId } }),
+  async (req, res, next) => {
+    try {
+      const { id } = req.params;
+      const asset = await assetsCol.findOne({
+        _id: new ObjectId(id),
+        companyId: req.companyId,
+      });
+      if (!asset) return res.status(404).send({ msg: 'Asset not found' });
+      res.send(asset);
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// Update asset
+app.patch(
+  '/hr/assets/:id',
+  verifyToken,
+  verifyHR,
+  validate({
+    params: { id: requiredId },
+    body: {
+      productName: { type: 'string', max: 200 },
+      productImage: { type: 'string', max: 2048 },
+      productType: { type: 'string', enum: ASSET_TYPES },
+      productQuantity: { type: 'number', integer: true, min: 0, max: 100000 },
+      defaultLoanDays: {
+        type: 'number',
+        integer: true,
+        min: 1,
+        max: 3650,
+        nullable: true,
+      },
+      unitValue: { type: 'number', min: 0, max: 1e9, nullable: true },
+    },
+  }),
+  async (req, res, next) => {
+    try {
+      const { id } = req.params;
+      const {
+        productName,
+        productImage,
+        productType,
+        productQuantity,
+        defaultLoanDays,
+        unitValue,
+      } = req.body;
+
+      const update = {};
+      if (productName) update.productName = productName;
+      if (productImage) update.productImage = productImage;
+      if (productType) update.productType = productType;
+      if (productQuantity !== undefined)
+        update.productQuantity = productQuantity;
+      if (defaultLoanDays !== undefined)
+        update.defaultLoanDays = defaultLoanDays;
+      if (unitValue !== undefined) update.unitValue = unitValue;
+      if (!Object.keys(update).length) {
+        return res.status(400).send({ msg: 'Nothing to update' });
+      }
+
+      const assetId = new ObjectId(id);
+
+      const availableQuantity = await withTransaction(async session => {
+        const before = await assetsCol.findOne(
+          { _id: assetId, companyId: req.companyId },
+          { session }
+        );
+        if (!before) throw httpError(404, 'Asset not found');
+
+        // never drop below the units employees are still holding or that
+        // were written off as damaged / lost
+        const unavailable =
+          (await countUnitsOut(assetId, session)) + countWrittenOff(before);
+        if (update.productQuantity < unavailable) {
+          throw httpError(
+            409,
+            `Quantity cannot be lower than the ${unavailable} assigned or written-off units`
+          );
+        }
+        const unitCount = await countUnits(assetId, session);
+        if (update.productQuantity < unitCount) {
+          throw httpError(
+            409,
+            `This asset has ${unitCount} units; retire units instead of lowering the quantity below that`
+          );
+        }
+
+        await assetsCol.updateOne(
+          { _id: assetId },
+          { $set: update },
+          { session }
+        );
+        if (update.productQuantity !== undefined) {
+          await growUnits({
+            asset: { ...before, ...update },
+            quantity: update.productQuantity,
+            by: req.user.email,
+            session,
+          });
+        }
+        const available = await syncAvailableQuantity(
+          assetId,
+          req.companyId,
+          session
+        );
+
+        await writeAudit({
+          actor: actorOf(req),
+          action: 'asset.update',
+          entity: 'asset',
+          entityId: assetId,
+          companyId: req.companyId,
+          before,
+          after: await assetsCol.findOne({ _id: assetId }, { session }),
+          session,
+        });
+
+        return available;
+      });
+
+      res.send({ msg: 'Asset updated', availableQuantity });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// Delete asset
+app.delete(
+  '/hr/assets/:id',
+  verifyToken,
+  verifyHR,
+  validate({ params: { id: requiredId } }),
+  async (req, res, next) => {
+    try {
+      const assetId = new ObjectId(req.params.id);
+
+      await withTransaction(async session => {
+        const asset = await assetsCol.findOne(
+          { _id: assetId, companyId: req.companyId },
+          { session }
+        );
+        if (!asset) throw httpError(404, 'Asset not found');
+
+        // returns still have to be confirmed against the asset
+        const held = await requestsCol.findOne(
+          {
+            assetId,
+            requestStatus: { $in: ['approved', 'return-pending'] },
+          },
+          { session }
+        );
+        if (held || (await countUnitsOut(assetId, session)) > 0) {
+          throw httpError(
+            409,
+            'Asset is still assigned; confirm its returns before deleting it'
+          );
+        }
+
+        await assetsCol.deleteOne({ _id: assetId }, { session });
+        // units and their custody history outlive the asset
+        await unitsCol.updateMany(
+          { assetId, companyId: req.companyId },
+          {
+            $set: { assetDeletedAt: new Date() },
+            $push: {
+              history: {
+                action: 'asset-deleted',
+                by: req.user.email,
+                at: new Date(),
+              },
+            },
+          },
+          { session }
+        );
+
+        await writeAudit({
+          actor: actorOf(req),
+          action: 'asset.delete',
+          entity: 'asset',
+          entityId: assetId,
+          companyId: req.companyId,
+          before: asset,
+          session,
+        });
+      });
+
+      res.send({ msg: 'Asset deleted' });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// ==================== HR: ASSET UNITS ====================
+
+// List units of an asset
+app.get(
+  '/hr/assets/:id/units',
+  verifyToken,
+  verifyHR,
+  validate({
+    params: { id: requiredId },
+    query: { status: { type: 'string', enum: UNIT_STATUSES } },
+  }),
+  async (req, res, next) => {
+    try {
+      const { id } = req.params;
+      const { status } = req.query;
+
+      const query = { assetId: new ObjectId(id), companyId: req.companyId };
+      if (status) query.status = status;
+
+      const units = await unitsCol
+        .find(query)
+        .project({ history: 0 })
+        .sort({ createdAt: 1 })
+        .toArray();
+      res.send(units);
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// Add units to an existing asset in bulk (raises productQuantity)
+app.post(
+  '/hr/assets/:id/units',
+  verifyToken,
+  verifyHR,
+  validate({
+    params: { id: requiredId },
+    body: { units: { ...unitsRule, required: true, min: 1 } },
+  }),
+  async (req, res, next) => {
+    try {
+      const { id } = req.params;
+      const { units } = req.body;
+
+      const created = await withTransaction(async session => {
+        const asset = await assetsCol.findOne(
+          { _id: new ObjectId(id), companyId: req.companyId },
+          { session }
+        );
+        if (!asset) throw httpError(404, 'Asset not found');
+
+        // the asset's stock that isn't tracked yet gets units too
+        const existing = await countUnits(asset._id, session);
+        const docs = buildUnits(
+          asset,
+          [...units, ...padUnits([], asset.productQuantity - existing)],
+          req.user.email,
+          existing
+        );
+        await unitsCol.insertMany(docs, { session });
+
+        await assetsCol.updateOne(
+          { _id: asset._id },
+          { $inc: { productQuantity: units.length } },
+          { session }
+        );
+        await syncAvailableQuantity(asset._id, req.companyId, session);
+
+        await writeAudit({
+          actor: actorOf(req),
+          action: 'unit.create',
+          entity: 'asset',
+          entityId: asset._id,
+          companyId: req.companyId,
+          before: { productQuantity: asset.productQuantity },
+          after: {
+            productQuantity: asset.productQuantity + units.length,
+            tagCodes: docs.map(d => d.tagCode),
+          },
+          session,
+        });
+
+        return docs.length;
+      });
+
+      res.status(201).send({ msg: 'Units created', unitsCreated: created });
+    } catch (err) {
+      if (err.code === 11000) {
+        return res
+          .status(409)
+          .send({ msg: 'Duplicate serial number or tag code' });
+      }
+      next(err);
+    }
+  }
+);
+
+// Change a unit's status (in stock / in repair / retired)
+app.patch(
+  '/hr/units/:unitId',
+  verifyToken,
+  verifyHR,
+  validate({
+    params: { unitId: requiredId },
+    body: {
+      status: {
+        type: 'string',
+        required: true,
+        enum: ['in-stock', 'in-repair', 'retired'],
+      },
+      notes: notesRule,
+    },
+  }),
+  async (req, res, next) => {
+    try {
+      const { unitId } = req.params;
+      const { status, notes } = req.body;
+
+      await withTransaction(async session => {
+        const unit = await unitsCol.findOne(
+          { _id: new ObjectId(unitId), companyId: req.companyId },
+          { session }
+        );
+        if (!unit) throw httpError(404, 'Unit not found');
+        if (unit.status === 'assigned') {
+          throw httpError(409, 'Unit is assigned, it must be returned first');
+        }
+        if (unit.status === 'retired') {
+          throw httpError(409, 'Retired units cannot change status');
+        }
+        if (unit.status === status) return;
+
+        await unitsCol.updateOne(
+          { _id: unit._id, status: unit.status },
+          {
+            $set: { status },
+            $push: {
+              history: {
+                action: 'status-changed',
+                from: unit.status,
+                status,
+                notes: notes || '',
+                by: req.user.email,
+                at: new Date(),
+              },
+            },
+          },
+          { session }
+        );
+
+        // keep the asset's written-off counters in line with unit statuses
+        const inc = {};
+        const fromCounter = UNIT_STATUS_COUNTERS[unit.status];
+        const toCounter = UNIT_STATUS_COUNTERS[status];
+        if (fromCounter) inc[fromCounter] = -1;
+        if (toCounter) inc[toCounter] = 1;
+        if (Object.keys(inc).length) {
+          await assetsCol.updateOne(
+            { _id: unit.assetId },
+            { $inc: inc },
+            { session }
+          );
+        }
+
+        await syncAvailableQuantity(unit.assetId, req.companyId, session);
+
+        await writeAudit({
+          actor: actorOf(req),
+          action: 'unit.status',
+          entity: 'unit',
+          entityId: unit._id,
+          companyId: req.companyId,
+          before: unit,
+          after: { ...unit, status },
+          session,
+        });
+      });
+
+      res.send({ msg: 'Unit updated', status });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// Full custody history of a unit
+app.get(
+  '/hr/units/:unitId/history',
+  verifyToken,
+  verifyHR,
+  validate({ params: { unitId: requiredId } }),
+  async (req, res, next) => {
+    try {
+      const { unitId } = req.params;
+      const unit = await unitsCol.findOne({
+        _id: new ObjectId(unitId),
+        companyId: req.companyId,
+      });
+      if (!unit) return res.status(404).send({ msg: 'Unit not found' });
+      res.send(unit);
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// ==================== EMPLOYEE: REQUESTS ====================
+
+const MAX_REQUEST_ITEMS = 20;
+const lineQuantityRule = { type: 'number', integer: true, min: 1, max: 100 };
+
+// Create request: one asset (assetId + quantity) or several line items
+// (items: [{ assetId, quantity }]) from the same company
+app.post(
+  '/employee/requests',
+  verifyToken,
+  verifyEmployee,
+  validate({
+    body: {
+      assetId: { type: 'objectId' },
+      quantity: { ...lineQuantityRule, default: 1 },
+      items: {
+        type: 'array',
+        min: 1,
+        max: MAX_REQUEST_ITEMS,
+        items: {
+          type: 'object',
+          fields: {
+            assetId: requiredId,
+            quantity: { ...lineQuantityRule, default: 1 },
+          },
+        },
+      },
+      note: notesRule,
+    },
+  }),
+  async (req, res, next) => {
+    try {
+      const { assetId, quantity, items, note } = req.body;
+      if (Boolean(assetId) === Boolean(items)) {
+        return res.status(400).send({ msg: 'Send either assetId or items' });
+      }
+
+      const lines = items || [{ assetId, quantity }];
+      const ids = lines.map(line => line.assetId);
+      if (new Set(ids).size !== ids.length) {
+        return res
+          .status(400)
+          .send({ msg: 'Each asset can only appear once per request' });
+      }
+
+      // company, HR and asset details come from the asset, never the client
+      const assets = await assetsCol
+        .find({ _id: { $in: ids.map(id => new ObjectId(id)) } })
+        .toArray();
+      const assetsById = new Map(assets.map(a => [String(a._id), a]));
+      if (lines.some(line => !assetsById.get(line.assetId)?.companyId)) {
+        return res.status(404).send({ msg: 'Asset not found' });
+      }
+
+      const [{ companyId }] = assets;
+      if (assets.some(a => !a.companyId.equals(companyId))) {
+        return res
+          .status(400)
+          .send({ msg: 'All items must come from the same company' });
+      }
+
+      const requester = await usersCol.findOne({ email: req.user.email });
+      const requestGroupId = new ObjectId();
+      const requestDate = new Date();
+      const policies = await approvalPoliciesCol
+        .find({ companyId, active: true })
+        .sort({ priority: 1, createdAt: 1 })
+        .toArray();
+
+      const docs = lines.map((line, i) => {
+        const asset = assetsById.get(line.assetId);
+        const doc = {
+          _id: new ObjectId(),
+          requestGroupId,
+          lineNo: i + 1,
+          assetId: asset._id,
+          assetName: asset.productName,
+          assetType: asset.productType,
+          quantity: line.quantity,
+          approvedQuantity: null,
+          companyId: asset.companyId,
+          hrEmail: asset.hrEmail || null,
+          companyName: asset.companyName || 'Unknown Company',
+          requesterName: requester?.name || '',
+          requesterEmail: req.user.email,
+          assetImage: asset.productImage || null,
+          requestDate,
+          approvalDate: null,
+          requestStatus: 'pending',
+          note: note || '',
+          processedBy: null,
+          unitValue: asset.unitValue ?? null,
+        };
+        doc.approval = startApproval(policies, doc, requestDate);
+        return doc;
+      });
+
+      await withTransaction(async session => {
+        await requestsCol.insertMany(docs, { session });
+
+        for (const doc of docs) {
+          await writeAudit({
+            actor: actorOf(req),
+            action: 'request.create',
+            entity: 'request',
+            entityId: doc._id,
+            companyId,
+            after: doc,
+            session,
+          });
+        }
+      });
+
+      for (const doc of docs.filter(d => d.approval)) {
+        await notifyDecision(doc);
+      }
+
+      // one notification for the whole request
+      await notify(docs[0].hrEmail, 'request.created', {
+        ...docs[0],
+        assetName: docs
+          .map(d =>
+            d.quantity > 1 ? `${d.assetName} x${d.quantity}` : d.assetName
+          )
+          .join(', '),
+      });
+
+      res.status(201).send({
+        msg: 'Request created',
+        requestId: docs[0]._id,
+        requestGroupId,
+        requestIds: docs.map(d => d._id),
+      });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// My requests (for MyAssets)
+app.get(
+  '/employee/requests/:email',
+  verifyToken,
+  verifyEmployee,
+  validate({ params: { email: requiredEmail } }),
+  async (req, res, next) => {
+    try {
+      const { email } = req.params;
+      if (email !== req.user.email) {
+        return res.status(403).send({ msg: 'Forbidden' });
+      }
+
+      const requests = await requestsCol
+        .find({ requesterEmail: email })
+        .sort({ requestDate: -1 })
+        .toArray();
+      res.send(requests);
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// Download the signed hand-over receipt of one of my requests
+app.get(
+  '/employee/requests/:id/receipt',
+  verifyToken,
+  verifyEmployee,
+  validate({ params: { id: requiredId } }),
+  async (req, res, next) => {
+    try {
+      const { id } = req.params;
+      const receipt = await receiptsCol.findOne({
+        requestId: new ObjectId(id),
+        employeeEmail: req.user.email,
+      });
+      if (!receipt) return res.status(404).send({ msg: 'Receipt not found' });
+
+      sendPdf(res, `receipt-${receipt.receiptNo}.pdf`, doc =>
+        renderReceipt(doc, receipt)
+      );
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// Return asset
+app.patch(
+  '/employee/requests/:id/return',
+  verifyToken,
+  verifyEmployee,
+  validate({ params: { id: requiredId } }),
+  async (req, res, next) => {
+    try {
+      const { id } = req.params;
+
+      const request = await requestsCol.findOne({
+        _id: new ObjectId(id),
+        requesterEmail: req.user.email,
+      });
+      if (!request) return res.status(404).send({ msg: 'Request not found' });
+
+      if (request.requestStatus !== 'approved') {
+        return res
+          .status(400)
+          .send({ msg: 'Only approved requests can be returned' });
+      }
+      if (request.assetType !== 'Returnable') {
+        return res
+          .status(400)
+          .send({ msg: 'Only returnable assets can be returned' });
+      }
+
+      // the unit stays out until HR confirms receipt
+      const result = await requestsCol.updateOne(
+        { _id: request._id, requestStatus: 'approved' },
+        {
+          $set: {
+            requestStatus: 'return-pending',
+            returnRequestedAt: new Date(),
+          },
+        }
+      );
+      if (result.modifiedCount === 0) {
+        return res.status(409).send({ msg: 'Return already started' });
+      }
+
+      await writeAudit({
+        actor: actorOf(req),
+        action: 'request.return',
+        entity: 'request',
+        entityId: request._id,
+        companyId: request.companyId,
+        before: request,
+        after: await requestsCol.findOne({ _id: request._id }),
+      });
+
+      await notify(request.hrEmail, 'return.started', request);
+
+      res.send({ msg: 'Return started, waiting for HR confirmation' });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// ==================== EMPLOYEE: MY TEAM ====================
+
+// My Team (company-wise colleagues)
+app.get(
+  '/employee/my-team/:email',
+  verifyToken,
+  verifyEmployee,
+  validate({ params: { email: requiredEmail } }),
+  async (req, res, next) => {
+    try {
+      const { email } = req.params;
+      if (email !== req.user.email) {
+        return res.status(403).send({ msg: 'Forbidden' });
+      }
+
+      const companyIds = await getEmployeeCompanyIds(email);
+
+      if (companyIds.length === 0) {
+        return res.send([]);
+      }
+
+      const companies = await companiesCol
+        .find({ _id: { $in: companyIds } })
+        .toArray();
+
+      const teams = [];
+
+      for (const company of companies) {
+        const emails = await affiliationsCol.distinct('employeeEmail', {
+          companyId: company._id,
+          status: 'active',
+        });
+
+        if (emails.length === 0) continue;
+
+        const colleagues = await usersCol
+          .find({ email: { $in: emails } })
+          .toArray();
+
+        teams.push({
+          companyId: company._id,
+          companyName: company.name,
+          colleagues: colleagues.map(c => serializeUser(c, 'public')),
+        });
+      }
+
+      res.send(teams);
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// ==================== HR: ALL REQUESTS ====================
+
+// Get all requests
+app.get('/hr/requests', verifyToken, verifyHR, async (req, res, next) => {
+  try {
+    const requests = await requestsCol
+      .find({ companyId: req.companyId })
+      .sort({ requestDate: -1 })
+      .toArray();
+    res.send(requests);
+  } catch (err) {
+    next(err);
+  }
+});
+
+const requestedQuantity = request => request.quantity || 1;
+
+// Approve a pending request line for `quantity` of its units (all of them
+// by default) inside the caller's transaction: affiliate the employee, take
+// the units out of stock and issue the receipt
+const approveLine = async ({
+  request,
+  quantity,
+  unitId,
+  dueDate,
+  reason,
+  actor,
+  session,
+}) => {
+  const approvedQuantity = quantity ?? requestedQuantity(request);
+  if (approvedQuantity > requestedQuantity(request)) {
+    throw httpError(
+      400,
+      `Only ${requestedQuantity(request)} unit(s) of ${request.assetName} were requested`
+    );
+  }
+
+  // units left out of a partial approval are rejected, and say so
+  const rejectedQuantity = requestedQuantity(request) - approvedQuantity;
+  const decisionReason = [
+    reason,
+    rejectedQuantity &&
+      `${rejectedQuantity} of ${requestedQuantity(request)} unit(s) not approved`,
+  ]
+    .filter(Boolean)
+    .join('; ');
+
+  const approvalDate = new Date();
+  const approved = await requestsCol.findOneAndUpdate(
+    { _id: request._id, requestStatus: 'pending' },
+    {
+      $set: {
+        requestStatus: 'approved',
+        approvalDate,
+        dueDate: await resolveDueDate(request, dueDate, approvalDate),
+        approvedQuantity,
+        rejectedQuantity,
+        decisionReason,
+        processedBy: actor.email,
+      },
+    },
+    { session, returnDocument: 'after' }
+  );
+  if (!approved) throw httpError(409, 'Request already processed');
+
+  // first approval affiliates the employee with the company, counted
+  // against its HR's package even when a manager gave the final approval
+  const company = await companiesCol.findOne(
+    { _id: request.companyId },
+    { session }
+  );
+  const affiliation = await affiliateEmployee({
+    companyId: request.companyId,
+    hrId: company?.ownerId,
+    employeeEmail: request.requesterEmail,
+    session,
+  });
+  if (affiliation === 'limit') {
+    throw httpError(
+      403,
+      'Employee limit reached for your package. Upgrade to add more employees.'
+    );
+  }
+
+  // fails with 409 when there aren't enough units left
+  await syncAvailableQuantity(request.assetId, request.companyId, session);
+  await ensureReservationsCovered(approved, session);
+
+  const units = await assignUnits({
+    request: approved,
+    unitId,
+    by: actor.email,
+    session,
+  });
+
+  await issueReceipt({
+    request: approved,
+    units,
+    issuedBy: actor.email,
+    session,
+  });
+
+  await writeAudit({
+    actor,
+    action: 'request.approve',
+    entity: 'request',
+    entityId: request._id,
+    companyId: request.companyId,
+    before: request,
+    after: await requestsCol.findOne({ _id: request._id }, { session }),
+    session,
+  });
+
+  return { affiliation, approved };
+};
+
+// Reject a pending request line with an optional reason
+const rejectLine = async ({ request, reason, actor, session }) => {
+  const rejected = await requestsCol.findOneAndUpdate(
+    { _id: request._id, requestStatus: 'pending' },
+    {
+      $set: {
+        requestStatus: 'rejected',
+        approvalDate: new Date(),
+        approvedQuantity: 0,
+        rejectedQuantity: requestedQuantity(request),
+        decisionReason: reason || '',
+        processedBy: actor.email,
+      },
+    },
+    { session, returnDocument: 'after' }
+  );
+  if (!rejected) throw httpError(409, 'Request already processed');
+
+  await writeAudit({
+    actor,
+    action: 'request.reject',
+    entity: 'request',
+    entityId: request._id,
+    companyId: request.companyId,
+    before: request,
+    after: rejected,
+    session,
+  });
+
+  return rejected;
+};
+
+const approveFields = {
+  quantity: lineQuantityRule,
+  unitId: { type: 'objectId' },
+  dueDate: { type: 'date' },
+  reason: notesRule,
+};
+
+// Find a pending request line of the HR's company, or a 404 / 400
+const findPendingLine = async (id, companyId) => {
+  const request = await requestsCol.findOne({
+    _id: new ObjectId(id),
+    companyId,
+  });
+  if (!request) throw httpError(404, 'Request not found');
+  if (request.requestStatus !== 'pending') {
+    throw httpError(400, 'Request already processed');
+  }
+  return request;
+};
+
+// Approve request (all its units, or `quantity` of them). Under an
+// approval policy this approves the current step only.
+app.patch(
+  '/hr/requests/:id/approve',
+  verifyToken,
+  verifyHR,
+  validate({ params: { id: requiredId }, body: approveFields }),
+  async (req, res, next) => {
+    try {
+      const request = await findPendingLine(req.params.id, req.companyId);
+
+      const { line, affiliation } = await withTransaction(session =>
+        decideLine({
+          request,
+          decision: 'approved',
+          fields: req.body,
+          actor: actorOf(req),
+          session,
+        })
+      );
+
+      await notifyDecision(line);
+
+      res.send({
+        msg:
+          line.requestStatus === 'pending'
+            ? 'Step approved, waiting for the next approver'
+            : 'Request approved',
+        approvedQuantity: line.approvedQuantity,
+        approval: line.approval || null,
+        affiliated: affiliation === 'created',
+      });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// Reject request
+app.patch(
+  '/hr/requests/:id/reject',
+  verifyToken,
+  verifyHR,
+  validate({ params: { id: requiredId }, body: { reason: notesRule } }),
+  async (req, res, next) => {
+    try {
+      const request = await findPendingLine(req.params.id, req.companyId);
+
+      const { line } = await withTransaction(session =>
+        decideLine({
+          request,
+          decision: 'rejected',
+          fields: req.body,
+          actor: actorOf(req),
+          session,
+        })
+      );
+
+      await notifyDecision(line);
+
+      res.send({ msg: 'Request rejected' });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// Decide several lines of a multi-item request in one go. Lines left out
+// stay pending; if any decision fails, none is applied. Lines under an
+// approval policy only move through their current step.
+app.patch(
+  '/hr/requests/groups/:groupId/decide',
+  verifyToken,
+  verifyHR,
+  validate({
+    params: { groupId: requiredId },
+    body: {
+      lines: {
+        type: 'array',
+        required: true,
+        min: 1,
+        max: MAX_REQUEST_ITEMS,
+        items: {
+          type: 'object',
+          fields: {
+            requestId: requiredId,
+            decision: {
+              type: 'string',
+              required: true,
+              enum: ['approved', 'rejected'],
+            },
+            ...approveFields,
+          },
+        },
+      },
+    },
+  }),
+  async (req, res, next) => {
+    try {
+      const { lines } = req.body;
+
+      const requests = await requestsCol
+        .find({
+          requestGroupId: new ObjectId(req.params.groupId),
+          companyId: req.companyId,
+        })
+        .toArray();
+      if (!requests.length) {
+        return res.status(404).send({ msg: 'Request not found' });
+      }
+
+      const byId = new Map(requests.map(r => [String(r._id), r]));
+      if (new Set(lines.map(l => l.requestId)).size !== lines.length) {
+        return res.status(400).send({ msg: 'Each line can only appear once' });
+      }
+      for (const line of lines) {
+        const request = byId.get(line.requestId);
+        if (!request) {
+          return res
+            .status(400)
+            .send({ msg: `${line.requestId} is not part of this request` });
+        }
+        if (request.requestStatus !== 'pending') {
+          return res
+            .status(400)
+            .send({ msg: `${request.assetName} was already processed` });
+        }
+      }
+
+      const actor = actorOf(req);
+      const decided = await withTransaction(async session => {
+        const results = [];
+        for (const { requestId, decision, ...fields } of lines) {
+          results.push(
+            await decideLine({
+              request: byId.get(requestId),
+              decision,
+              fields,
+              actor,
+              session,
+            })
+          );
+        }
+        return results;
+      });
+
+      // one notification for the requester, like at creation; lines
+      // moving to their next step still go to that step's approvers
+      const decidedLines = decided.map(d => d.line);
+      for (const line of decidedLines) {
+        if (line.requestStatus === 'pending') await notifyDecision(line);
+      }
+      const final = decidedLines.filter(l => l.requestStatus !== 'pending');
+      if (final.length) {
+        await notify(final[0].requesterEmail, 'request.decided', {
+          ...final[0],
+          lines: final.map(
+            line =>
+              `- ${line.assetName} x${requestedQuantity(line)}: ${line.requestStatus}${line.decisionReason ? ` (${line.decisionReason})` : ''}`
+          ),
+        });
+      }
+
+      const count = status =>
+        decided.filter(d => d.line.requestStatus === status).length;
+      res.send({
+        msg: 'Request lines processed',
+        approved: count('approved'),
+        rejected: count('rejected'),
+        advanced: count('pending'),
+        // lines still waiting after this call, including ones that only
+        // moved on to their next approval step
+        pending: await requestsCol.countDocuments({
+          requestGroupId: new ObjectId(req.params.groupId),
+          companyId: req.companyId,
+          requestStatus: 'pending',
+        }),
+        affiliated: decided.some(d => d.affiliation === 'created'),
+      });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// Confirm a returned asset after inspection
+const RETURN_CONDITIONS = ['good', 'damaged', 'lost'];
+const RETURNED_UNIT_STATUS = {
+  good: 'in-stock',
+  damaged: 'in-repair',
+  lost: 'retired',
+};
+
+app.patch(
+  '/hr/requests/:id/confirm-return',
+  verifyToken,
+  verifyHR,
+  validate({
+    params: { id: requiredId },
+    body: {
+      condition: { type: 'string', required: true, enum: RETURN_CONDITIONS },
+      notes: notesRule,
+    },
+  }),
+  async (req, res, next) => {
+    try {
+      const { id } = req.params;
+      const { condition, notes } = req.body;
+
+      const request = await requestsCol.findOne({
+        _id: new ObjectId(id),
+        companyId: req.companyId,
+      });
+      if (!request) return res.status(404).send({ msg: 'Request not found' });
+      if (request.requestStatus !== 'return-pending') {
+        return res.status(400).send({ msg: 'No pending return to confirm' });
+      }
+
+      await withTransaction(async session => {
+        const result = await requestsCol.updateOne(
+          { _id: request._id, requestStatus: 'return-pending' },
+          {
+            $set: {
+              requestStatus: 'returned',
+              returnDate: new Date(),
+              returnCondition: condition,
+              returnNotes: notes || '',
+              returnConfirmedBy: req.user.email,
+            },
+          },
+          { session }
+        );
+        if (result.modifiedCount === 0) {
+          throw httpError(409, 'Return already confirmed');
+        }
+
+        await releaseUnits({
+          request,
+          status: RETURNED_UNIT_STATUS[condition],
+          by: req.user.email,
+          notes,
+          session,
+        });
+
+        // returned before its last day: free the rest of the booking
+        if (request.reservationId) {
+          await reservationsCol.updateOne(
+            { _id: request.reservationId, status: 'active' },
+            { $set: { status: 'completed', completedAt: new Date() } },
+            { session }
+          );
+        }
+
+        // only units in good condition go back into stock
+        if (condition !== 'good') {
+          await assetsCol.updateOne(
+            { _id: request.assetId, companyId: req.companyId },
+            {
+              $inc: { [`${condition}Quantity`]: request.approvedQuantity || 1 },
+            },
+            { session }
+          );
+        }
+
+        await syncAvailableQuantity(request.assetId, req.companyId, session);
+
+        await writeAudit({
+          actor: actorOf(req),
+          action: 'request.return-confirm',
+          entity: 'request',
+          entityId: request._id,
+          companyId: req.companyId,
+          before: request,
+          after: await requestsCol.findOne({ _id: request._id }, { session }),
+          session,
+        });
+      });
+
+      await notify(request.requesterEmail, 'return.confirmed', {
+        ...request,
+        condition,
+      });
+
+      res.send({ msg: 'Return confirmed', condition });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// ==================== APPROVAL POLICIES ====================
+
+// A company can route requests through ordered approval steps, e.g. a
+// manager and then HR, picked per line by asset type and/or line value
+// (unitValue x quantity). The first active policy by priority that matches
+// applies; lines no policy matches are decided by HR directly.
+//
+// The line carries the chain in `approval`: each step's approvers, status,
+// who decided (and for whom, when delegated) and its SLA window.
+
+const APPROVAL_SLA_HOURS = Number(process.env.APPROVAL_SLA_HOURS) || 48;
+const HOUR_MS = 60 * 60 * 1000;
+
+const policyMatches = (policy, line) => {
+  if (policy.assetTypes?.length && !policy.assetTypes.includes(line.assetType))
+    return false;
+  if (policy.minValue != null) {
+    return (line.unitValue ?? -1) * line.quantity >= policy.minValue;
+  }
+  return true;
+};
+
+const openStep = (step, now) => ({
+  ...step,
+  status: 'pending',
+  startedAt: now,
+  dueAt: new Date(now.getTime() + step.slaHours * HOUR_MS),
+});
+
+// The approval chain of a new request line, or null
+const startApproval = (policies, line, now) => {
+  const policy = policies.find(p => policyMatches(p, line));
+  if (!policy) return null;
+
+  const steps = policy.steps.map((step, i) => {
+    const planned = {
+      name: step.name,
+      approvers: step.approvers,
+      slaHours: step.slaHours,
+    };
+    return i === 0 ? openStep(planned, now) : { ...planned, status: 'waiting' };
+  });
+
+  return {
+    policyId: policy._id,
+    policyName: policy.name,
+    status: 'pending',
+    currentStep: 0,
+    pendingApprovers: steps[0].approvers,
+    steps,
+    submittedAt: now,
+    completedAt: null,
+  };
+};
+
+// Users currently out of office who handed their approvals to someone
+const activeDelegations = now => ({
+  'approvalDelegate.from': { $lte: now },
+  'approvalDelegate.until': { $gt: now },
+});
+
+// Which pending approver `email` decides for: themselves, or someone who
+// delegated to them. null when they can't decide.
+const actingFor = async (approvers, email, now) => {
+  if (approvers.includes(email)) return email;
+  const delegator = await usersCol.findOne({
+    email: { $in: approvers },
+    'approvalDelegate.email': email,
+    ...activeDelegations(now),
+  });
+  return delegator?.email || null;
+};
+
+// Record a decision on a pending request line inside a transaction. Lines
+// under a policy move one step at a time and only the step's approvers (or
+// their delegates) can decide; the last approval hands out the units and
+// any rejection ends the chain. Other lines are decided by HR directly.
+const decideLine = async ({ request, decision, fields, actor, session }) => {
+  const { approval } = request;
+
+  if (actor.email === request.requesterEmail) {
+    throw httpError(403, 'You cannot decide your own request');
+  }
+
+  if (approval) {
+    const now = new Date();
+    const index = approval.currentStep;
+    const step = approval.steps[index];
+
+    // approvers and delegates may have left the company since
+    const members = await companyMembers(request.companyId, [actor.email]);
+    if (!members.has(actor.email)) {
+      throw httpError(
+        403,
+        'Only members of the company can decide this request'
+      );
+    }
+
+    const onBehalfOf = await actingFor(
+      approval.pendingApprovers,
+      actor.email,
+      now
+    );
+    if (!onBehalfOf) {
+      throw httpError(
+        403,
+        `Waiting for ${step.name} approval by ${approval.pendingApprovers.join(', ')}`
+      );
+    }
+
+    const final =
+      decision === 'rejected' || index === approval.steps.length - 1;
+    const $set = {
+      [`approval.steps.${index}`]: {
+        ...step,
+        status: decision,
+        decidedBy: actor.email,
+        onBehalfOf: onBehalfOf === actor.email ? null : onBehalfOf,
+        decidedAt: now,
+        reason: fields.reason || '',
+      },
+    };
+    if (final) {
+      $set['approval.status'] = decision;
+      $set['approval.pendingApprovers'] = [];
+      $set['approval.completedAt'] = now;
+    } else {
+      const next = openStep(approval.steps[index + 1], now);
+      $set['approval.currentStep'] = index + 1;
+      $set[`approval.steps.${index + 1}`] = next;
+      $set['approval.pendingApprovers'] = next.approvers;
+    }
+
+    const updated = await requestsCol.findOneAndUpdate(
+      {
+        _id: request._id,
+        requestStatus: 'pending',
+        'approval.currentStep': index,
+      },
+      { $set },
+      { session, returnDocument: 'after' }
+    );
+    if (!updated) throw httpError(409, 'Request already processed');
+
+    if (!final) {
+      await writeAudit({
+        actor,
+        action: 'request.approval-step',
+        entity: 'request',
+        entityId: request._id,
+        companyId: request.companyId,
+        before: request,
+        after: updated,
+        session,
+      });
+      return { line: updated };
+    }
+    request = updated;
+  } else if (actor.role !== 'hr') {
+    throw httpError(403, 'Only HR can decide this request');
+  }
+
+  if (decision === 'rejected') {
+    return {
+      line: await rejectLine({
+        request,
+        reason: fields.reason,
+        actor,
+        session,
+      }),
+    };
+  }
+  const { affiliation, approved } = await approveLine({
+    request,
+    ...fields,
+    actor,
+    session,
+  });
+  return { line: approved, affiliation };
+};
+
+// Tell the requester about a final decision, or the next approvers (and
+// their delegates) that it's their turn
+const notifyDecision = async line => {
+  if (line.requestStatus !== 'pending') {
+    return notify(line.requesterEmail, `request.${line.requestStatus}`, line);
+  }
+
+  const approvers = line.approval.pendingApprovers;
+  const delegating = await usersCol
+    .find({ email: { $in: approvers }, ...activeDelegations(new Date()) })
+    .toArray();
+  const recipients = new Set([
+    ...approvers,
+    ...delegating.map(u => u.approvalDelegate.email),
+  ]);
+  for (const email of recipients) {
+    await notify(email, 'approval.requested', line);
+  }
+};
+
+const policyFields = {
+  name: { type: 'string', required: true, max: 100 },
+  assetTypes: {
+    type: 'array',
+    max: ASSET_TYPES.length,
+    items: { type: 'string', enum: ASSET_TYPES },
+    default: [],
+  },
+  minValue: { type: 'number', min: 0, nullable: true, default: null },
+  priority: { type: 'number', integer: true, min: 0, max: 1000, default: 100 },
+  active: { type: 'boolean', default: true },
+  steps: {
+    type: 'array',
+    required: true,
+    min: 1,
+    max: 5,
+    items: {
+      type: 'object',
+      fields: {
+        name: { type: 'string', required: true, max: 100 },
+        approvers: {
+          type: 'array',
+          required: true,
+          min: 1,
+          max: 10,
+          items: requiredEmail,
+        },
+        slaHours: {
+          type: 'number',
+          min: 1,
+          max: 24 * 90,
+          default: APPROVAL_SLA_HOURS,
+        },
+      },
+    },
+  },
+};
+
+// Same fields for PATCH: nothing required, no defaults
+const policyPatchFields = Object.fromEntries(
+  Object.entries(policyFields).map(([key, rule]) => [
+    key,
+    { ...rule, required: false, default: undefined },
+  ])
+);
+
+// Which of `emails` are the company's HR or its active employees
+const companyMembers = async (companyId, emails) => {
+  const hrs = await usersCol.distinct('email', {
+    role: 'hr',
+    companyId,
+    email: { $in: emails },
+  });
+  const employees = await affiliationsCol.distinct('employeeEmail', {
+    companyId,
+    status: 'active',
+    employeeEmail: { $in: emails },
+  });
+  return new Set([...hrs, ...employees]);
+};
+
+// Companies `email` belongs to, by the same rule
+const companiesOf = async email => {
+  const hr = await usersCol.findOne({ email, role: 'hr' });
+  const affiliated = await affiliationsCol.distinct('companyId', {
+    employeeEmail: email,
+    status: 'active',
+  });
+  return hr?.companyId ? [hr.companyId, ...affiliated] : affiliated;
+};
+
+// Approvers must be the company's HR or its active employees
+const checkApprovers = async (companyId, steps) => {
+  const emails = [...new Set(steps.flatMap(step => step.approvers))];
+  const members = await companyMembers(companyId, emails);
+  const outsiders = emails.filter(email => !members.has(email));
+  if (outsiders.length) {
+    throw httpError(
+      400,
+      `Approvers must belong to your company: ${outsiders.join(', ')}`
+    );
+  }
+};
+
+// HR: approval policies of the company, in the order they're tried
+app.get(
+  '/hr/approval-policies',
+  verifyToken,
+  verifyHR,
+  async (req, res, next) => {
+    try {
+      const policies = await approvalPoliciesCol
+        .find({ companyId: req.companyId })
+        .sort({ priority: 1, createdAt: 1 })
+        .toArray();
+      res.send(policies);
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// HR: create an approval policy
+app.post(
+  '/hr/approval-policies',
+  verifyToken,
+  verifyHR,
+  validate({ body: policyFields }),
+  async (req, res, next) => {
+    try {
+      await checkApprovers(req.companyId, req.body.steps);
+
+      const policy = {
+        ...req.body,
+        companyId: req.companyId,
+        createdBy: req.user.email,
+        createdAt: new Date(),
+      };
+      const result = await approvalPoliciesCol.insertOne(policy);
+
+      await writeAudit({
+        actor: actorOf(req),
+        action: 'approval-policy.create',
+        entity: 'approvalPolicy',
+        entityId: result.insertedId,
+        companyId: req.companyId,
+        after: policy,
+      });
+
+      res
+        .status(201)
+        .send({ msg: 'Approval policy created', id: result.insertedId });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// HR: edit an approval policy. Requests already submitted keep the chain
+// they started with.
+app.patch(
+  '/hr/approval-policies/:id',
+  verifyToken,
+  verifyHR,
+  validate({ params: { id: requiredId }, body: policyPatchFields }),
+  async (req, res, next) => {
+    try {
+      if (!Object.keys(req.body).length) {
+        return res.status(400).send({ msg: 'Nothing to update' });
+      }
+      if (req.body.steps) await checkApprovers(req.companyId, req.body.steps);
+
+      const filter = {
+        _id: new ObjectId(req.params.id),
+        companyId: req.companyId,
+      };
+      const before = await approvalPoliciesCol.findOne(filter);
+      if (!before) return res.status(404).send({ msg: 'Policy not found' });
+
+      const after = await approvalPoliciesCol.findOneAndUpdate(
+        filter,
+        { $set: { ...req.body, updatedAt: new Date() } },
+        { returnDocument: 'after' }
+      );
+
+      await writeAudit({
+        actor: actorOf(req),
+        action: 'approval-policy.update',
+        entity: 'approvalPolicy',
+        entityId: before._id,
+        companyId: req.companyId,
+        before,
+        after,
+      });
+
+      res.send({ msg: 'Approval policy updated' });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// HR: delete an approval policy
+app.delete(
+  '/hr/approval-policies/:id',
+  verifyToken,
+  verifyHR,
+  validate({ params: { id: requiredId } }),
+  async (req, res, next) => {
+    try {
+      const policy = await approvalPoliciesCol.findOneAndDelete({
+        _id: new ObjectId(req.params.id),
+        companyId: req.companyId,
+      });
+      if (!policy) return res.status(404).send({ msg: 'Policy not found' });
+
+      await writeAudit({
+        actor: actorOf(req),
+        action: 'approval-policy.delete',
+        entity: 'approvalPolicy',
+        entityId: policy._id,
+        companyId: req.companyId,
+        before: policy,
+      });
+
+      res.send({ msg: 'Approval policy deleted' });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// Requests waiting for my approval, or for someone who delegated to me
+app.get('/approvals', verifyToken, async (req, res, next) => {
+  try {
+    const now = new Date();
+    const delegators = await usersCol.distinct('email', {
+      'approvalDelegate.email': req.user.email,
+      ...activeDelegations(now),
+    });
+
+    const requests = await requestsCol
+      .find({
+        companyId: { $in: await companiesOf(req.user.email) },
+        requestStatus: 'pending',
+        'approval.pendingApprovers': { $in: [req.user.email, ...delegators] },
+      })
+      .sort({ requestDate: 1 })
+      .toArray();
+
+    res.send(
+      requests.map(r => {
+        const step = r.approval.steps[r.approval.currentStep];
+        return {
+          ...r,
+          step: step.name,
+          dueAt: step.dueAt,
+          overdue: step.dueAt < now,
+          onBehalfOf: r.approval.pendingApprovers.includes(req.user.email)
+            ? null
+            : r.approval.pendingApprovers.find(e => delegators.includes(e)),
+        };
+      })
+    );
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Approve or reject the current step of a request I'm an approver of
+app.patch(
+  '/approvals/:id',
+  verifyToken,
+  validate({
+    params: { id: requiredId },
+    body: {
+      decision: {
+        type: 'string',
+        required: true,
+        enum: ['approved', 'rejected'],
+      },
+      ...approveFields,
+    },
+  }),
+  async (req, res, next) => {
+    try {
+      const { decision, ...fields } = req.body;
+
+      const request = await requestsCol.findOne({
+        _id: new ObjectId(req.params.id),
+        companyId: { $in: await companiesOf(req.user.email) },
+        requestStatus: 'pending',
+      });
+      if (!request?.approval) {
+        return res.status(404).send({ msg: 'Request not found' });
+      }
+
+      const { line, affiliation } = await withTransaction(session =>
+        decideLine({
+          request,
+          decision,
+          fields,
+          actor: actorOf(req),
+          session,
+        })
+      );
+
+      await notifyDecision(line);
+
+      res.send({
+        msg: `Request ${line.requestStatus === 'pending' ? 'sent to the next step' : line.requestStatus}`,
+        approval: line.approval,
+        affiliated: affiliation === 'created',
+      });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// My out-of-office delegation
+app.get('/approvals/delegation', verifyToken, async (req, res, next) => {
+  try {
+    const user = await usersCol.findOne({ email: req.user.email });
+    res.send(user?.approvalDelegate || null);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Hand my approvals to someone else from `from` (default today) through
+// `until`, whole days
+app.put(
+  '/approvals/delegation',
+  verifyToken,
+  validate({
+    body: {
+      email: requiredEmail,
+      from: { type: 'date' },
+      until: { type: 'date', required: true },
+    },
+  }),
+  async (req, res, next) => {
+    try {
+      const { email } = req.body;
+      const from = startOfDay(req.body.from || new Date());
+      const until = addDays(startOfDay(req.body.until), 1);
+
+      if (email === req.user.email) {
+        return res.status(400).send({ msg: 'You cannot delegate to yourself' });
+      }
+      if (until <= from) {
+        return res.status(400).send({ msg: 'until must not be before from' });
+      }
+      const delegate = await usersCol.findOne({ email });
+      if (!delegate) return res.status(404).send({ msg: 'User not found' });
+
+      // same rule as policy approvers: someone from one of my companies
+      const mine = await companiesOf(req.user.email);
+      const theirs = await companiesOf(email);
+      if (!theirs.some(id => mine.some(companyId => companyId.equals(id)))) {
+        return res
+          .status(400)
+          .send({ msg: 'Delegates must belong to your company' });
+      }
+
+      const approvalDelegate = {
+        email,
+        from,
+        until,
+        setAt: new Date(),
+      };
+      const before = await usersCol.findOneAndUpdate(
+        { email: req.user.email },
+        { $set: { approvalDelegate } }
+      );
+
+      await writeAudit({
+        actor: actorOf(req),
+        action: 'approval.delegate',
+        entity: 'user',
+        entityId: before?._id,
+        companyId: req.user.companyId ? new ObjectId(req.user.companyId) : null,
+        before: { approvalDelegate: before?.approvalDelegate || null },
+        after: { approvalDelegate },
+      });
+
+      res.send({ msg: 'Approvals delegated', approvalDelegate });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// End my delegation early
+app.delete('/approvals/delegation', verifyToken, async (req, res, next) => {
+  try {
+    const before = await usersCol.findOneAndUpdate(
+      { email: req.user.email, approvalDelegate: { $exists: true } },
+      { $unset: { approvalDelegate: '' } }
+    );
+    if (!before) return res.status(404).send({ msg: 'No delegation set' });
+
+    await writeAudit({
+      actor: actorOf(req),
+      action: 'approval.delegate-end',
+      entity: 'user',
+      entityId: before._id,
+      companyId: req.user.companyId ? new ObjectId(req.user.companyId) : null,
+      before: { approvalDelegate: before.approvalDelegate },
+      after: { approvalDelegate: null },
+    });
+
+    res.send({ msg: 'Delegation ended' });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// ==================== RESERVATIONS ====================
+
+// Returnable assets can be booked for whole days (UTC), first and last day
+// included. A reservation becomes an approved assignment on its first day
+// and is released after its last one.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_RESERVATION_DAYS = Number(process.env.MAX_RESERVATION_DAYS) || 30;
+const MAX_CALENDAR_DAYS = 92;
+const RESERVATION_STATUSES = ['booked', 'active', 'completed', 'cancelled'];
+const RESERVATION_SYSTEM_ACTOR = {
+  id: null,
+  email: 'reservations',
+  role: 'system',
+};
+
+const startOfDay = date =>
+  new Date(
+    Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate())
+  );
+
+const addDays = (date, days) => new Date(date.getTime() + days * DAY_MS);
+
+// Units an asset can lend for bookings: everything not written off or held
+// through an ordinary, open-ended request
+const reservableCapacity = async (asset, session) => {
+  // ended bookings hold their units too until HR confirms the return
+  const heldOpenEnded = await sumUnitsHeld(
+    {
+      assetId: asset._id,
+      requestStatus: { $in: ['approved', 'return-pending'] },
+      $or: [{ reservationId: null }, { reservationEndedAt: { $ne: null } }],
+    },
+    session
+  );
+  return asset.productQuantity - countWrittenOff(asset) - heldOpenEnded;
+};
+
+// Bookings of an asset on each day from `from` to `to`
+const bookedPerDay = async (assetId, from, to, session) => {
+  const bookings = await reservationsCol
+    .find(
+      {
+        assetId,
+        status: { $in: ['booked', 'active'] },
+        startDate: { $lte: to },
+        endDate: { $gte: from },
+      },
+      { session }
+    )
+    .toArray();
+
+  const days = [];
+  for (let day = from; day <= to; day = addDays(day, 1)) {
+    days.push({
+      date: day,
+      booked: bookings.filter(b => b.startDate <= day && b.endDate >= day)
+        .length,
+    });
+  }
+  return days;
+};
+
+// Most reservations of an asset running on the same day from `from` on
+const peakBookings = async (assetId, from, session) => {
+  const bookings = await reservationsCol
+    .find(
+      {
+        assetId,
+        status: { $in: ['booked', 'active'] },
+        endDate: { $gte: from },
+      },
+      { session }
+    )
+    .toArray();
+
+  // +1 on the first day, -1 the day after the last one
+  const events = bookings
+    .flatMap(b => [
+      [b.startDate.getTime(), 1],
+      [b.endDate.getTime() + DAY_MS, -1],
+    ])
+    .sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+
+  let running = 0;
+  let peak = 0;
+  for (const [, delta] of events) {
+    running += delta;
+    peak = Math.max(peak, running);
+  }
+  return peak;
+};
+
+// An open-ended approval must leave enough units for upcoming bookings
+const ensureReservationsCovered = async (request, session) => {
+  if (request.assetType !== 'Returnable' || request.reservationId) return;
+
+  const asset = await assetsCol.findOne({ _id: request.assetId }, { session });
+  const capacity = await reservableCapacity(asset, session);
+  const peak = await peakBookings(asset._id, startOfDay(new Date()), session);
+  if (capacity < peak) {
+    throw httpError(409, 'The remaining units are reserved for bookings');
+  }
+};
+
+// Availability calendar of an asset (?from=&to=, default the next 30 days)
+const availabilityCalendar = async (asset, query) => {
+  const from = startOfDay(query.from || new Date());
+  const to = startOfDay(query.to || addDays(from, 29));
+  if (to < from) throw httpError(400, 'to must not be before from');
+  if ((to - from) / DAY_MS + 1 > MAX_CALENDAR_DAYS) {
+    throw httpError(400, `At most ${MAX_CALENDAR_DAYS} days at a time`);
+  }
+
+  const capacity = await reservableCapacity(asset);
+  const days = await bookedPerDay(asset._id, from, to);
+
+  return {
+    assetId: asset._id,
+    productName: asset.productName,
+    capacity,
+    days: days.map(d => ({
+      date: formatDate(d.date),
+      booked: d.booked,
+      available: Math.max(capacity - d.booked, 0),
+    })),
+  };
+};
+
+const calendarQuery = { from: { type: 'date' }, to: { type: 'date' } };
+
+const reservationNotice = (reservation, reason) => ({
+  assetName: reservation.assetName,
+  employeeName: reservation.employeeName,
+  employeeEmail: reservation.employeeEmail,
+  startDate: reservation.startDate,
+  endDate: reservation.endDate,
+  reason,
+});
+
+// Cancel a reservation that hasn't started yet
+const cancelReservation = async ({ filter, actor, reason }) => {
+  const before = await reservationsCol.findOne(filter);
+  if (!before) throw httpError(404, 'Reservation not found');
+  if (before.status !== 'booked') {
+    throw httpError(409, 'Only upcoming reservations can be cancelled');
+  }
+
+  const after = await reservationsCol.findOneAndUpdate(
+    { _id: before._id, status: 'booked' },
+    {
+      $set: {
+        status: 'cancelled',
+        cancelledAt: new Date(),
+        cancelledBy: actor.email,
+        cancelReason: reason || '',
+      },
+    },
+    { returnDocument: 'after' }
+  );
+  if (!after) throw httpError(409, 'Reservation has already started');
+
+  await writeAudit({
+    actor,
+    action: 'reservation.cancel',
+    entity: 'reservation',
+    entityId: before._id,
+    companyId: before.companyId,
+    before,
+    after,
+  });
+
+  if (actor.email !== before.employeeEmail) {
+    await notify(
+      before.employeeEmail,
+      'reservation.cancelled',
+      reservationNotice(before, reason)
+    );
+  }
+  return after;
+};
+
+// First day reached: assign the asset through an approved request
+const startReservation = async (reservation, now) => {
+  const actor = RESERVATION_SYSTEM_ACTOR;
+
+  try {
+    const request = await withTransaction(async session => {
+      const claimed = await reservationsCol.findOneAndUpdate(
+        { _id: reservation._id, status: 'booked' },
+        { $set: { status: 'active', startedAt: now } },
+        { session, returnDocument: 'after' }
+      );
+      if (!claimed) return null;
+
+      const asset = await assetsCol.findOne(
+        { _id: reservation.assetId, companyId: reservation.companyId },
+        { session }
+      );
+      if (!asset) throw httpError(404, 'Asset no longer exists');
+      const company = await companiesCol.findOne(
+        { _id: reservation.companyId },
+        { session }
+      );
+
+      const status = await affiliateEmployee({
+        companyId: reservation.companyId,
+        hrId: company?.ownerId,
+        employeeEmail: reservation.employeeEmail,
+        session,
+      });
+      if (status === 'limit') {
+        throw httpError(403, 'Employee limit reached for the company package');
+      }
+
+      const requestDoc = {
+        assetId: asset._id,
+        assetName: asset.productName,
+        assetType: asset.productType,
+        companyId: asset.companyId,
+        hrEmail: asset.hrEmail || null,
+        companyName: asset.companyName || 'Unknown Company',
+        requesterName: reservation.employeeName,
+        requesterEmail: reservation.employeeEmail,
+        assetImage: asset.productImage || null,
+        requestDate: reservation.createdAt,
+        approvalDate: now,
+        requestStatus: 'approved',
+        note: reservation.note,
+        processedBy: actor.email,
+        quantity: 1,
+        approvedQuantity: 1,
+        reservationId: reservation._id,
+      };
+      const { insertedId } = await requestsCol.insertOne(requestDoc, {
+        session,
+      });
+      const request = { ...requestDoc, _id: insertedId };
+
+      // fails with 409 when the units were written off or lent out meanwhile
+      await syncAvailableQuantity(asset._id, asset.companyId, session);
+      const units = await assignUnits({ request, by: actor.email, session });
+      await issueReceipt({ request, units, issuedBy: actor.email, session });
+
+      await reservationsCol.updateOne(
+        { _id: reservation._id },
+        { $set: { requestId: insertedId } },
+        { session }
+      );
+
+      await writeAudit({
+        actor,
+        action: 'reservation.start',
+        entity: 'reservation',
+        entityId: reservation._id,
+        companyId: reservation.companyId,
+        before: reservation,
+        after: { ...claimed, requestId: insertedId },
+        session,
+      });
+
+      return request;
+    });
+
+    if (request) {
+      await notify(request.requesterEmail, 'reservation.started', {
+        ...request,
+        endDate: reservation.endDate,
+      });
+    }
+  } catch (err) {
+    if (!err.status) throw err;
+    // the booking can't be honoured, let the employee know why
+    await cancelReservation({
+      filter: { _id: reservation._id },
+      actor,
+      reason: err.message,
+    });
+  }
+};
+
+// Last day over: the asset is due back and waits for HR to confirm the return
+const endReservation = async (reservation, now) => {
+  const actor = RESERVATION_SYSTEM_ACTOR;
+
+  const request = await withTransaction(async session => {
+    const claimed = await reservationsCol.findOneAndUpdate(
+      { _id: reservation._id, status: 'active' },
+      { $set: { status: 'completed', completedAt: now } },
+      { session }
+    );
+    if (!claimed) return null;
+
+    // the units stay out until HR confirms they came back, as with any return
+    const held = await requestsCol.findOneAndUpdate(
+      {
+        _id: reservation.requestId,
+        requestStatus: { $in: ['approved', 'return-pending'] },
+      },
+      [
+        {
+          $set: {
+            requestStatus: 'return-pending',
+            returnRequestedAt: { $ifNull: ['$returnRequestedAt', now] },
+            reservationEndedAt: now,
+          },
+        },
+      ],
+      { session }
+    );
+    if (!held) return null;
+
+    await writeAudit({
+      actor,
+      action: 'reservation.end',
+      entity: 'reservation',
+      entityId: reservation._id,
+      companyId: reservation.companyId,
+      before: reservation,
+      after: { ...reservation, status: 'completed', completedAt: now },
+      session,
+    });
+
+    return held;
+  });
+
+  if (request) {
+    await notify(request.requesterEmail, 'reservation.ended', request);
+    // an employee who already started the return told HR then
+    if (request.requestStatus === 'approved') {
+      await notify(request.hrEmail, 'return.started', request);
+    }
+  }
+};
+
+// Start every reservation whose first day has come and end every one whose
+// last day has passed
+const processReservations = async (now = new Date()) => {
+  const starting = await reservationsCol
+    .find({ status: 'booked', startDate: { $lte: now } })
+    .toArray();
+  for (const reservation of starting) await startReservation(reservation, now);
+
+  const ending = await reservationsCol
+    .find({ status: 'active', endDate: { $lte: addDays(now, -1) } })
+    .toArray();
+  for (const reservation of ending) await endReservation(reservation, now);
+
+  return { started: starting.length, ended: ending.length };
+};
+
+const RESERVATION_SWEEP_MS =
+  Number(process.env.RESERVATION_SWEEP_MS) || 60 * 1000;
+
+scheduleJob('reservations', processReservations, RESERVATION_SWEEP_MS);
+
+// Employee: book a returnable asset for a range of days
+app.post(
+  '/employee/reservations',
+  verifyToken,
+  verifyEmployee,
+  validate({
+    body: {
+      assetId: requiredId,
+      startDate: { type: 'date', required: true },
+      endDate: { type: 'date', required: true },
+      note: notesRule,
+    },
+  }),
+  async (req, res, next) => {
+    try {
+      const { assetId, note } = req.body;
+      const startDate = startOfDay(req.body.startDate);
+      const endDate = startOfDay(req.body.endDate);
+
+      if (endDate < startDate) {
+        return res
+          .status(400)
+          .send({ msg: 'endDate must not be before startDate' });
+      }
+      if (startDate < startOfDay(new Date())) {
+        return res.status(400).send({ msg: 'startDate is in the past' });
+      }
+      if ((endDate - startDate) / DAY_MS + 1 > MAX_RESERVATION_DAYS) {
+        return res.status(400).send({
+          msg: `Reservations can last at most ${MAX_RESERVATION_DAYS} days`,
+        });
+      }
+
+      const asset = await assetsCol.findOne({ _id: new ObjectId(assetId) });
+      if (!asset || !asset.companyId) {
+        return res.status(404).send({ msg: 'Asset not found' });
+      }
+      if (asset.productType !== 'Returnable') {
+        return res
+          .status(400)
+          .send({ msg: 'Only returnable assets can be reserved' });
+      }
+
+      const employee = await usersCol.findOne({ email: req.user.email });
+
+      const reservation = await withTransaction(async session => {
+        // writing the asset makes concurrent bookings of it conflict
+        const current = await assetsCol.findOneAndUpdate(
+          { _id: asset._id },
+          { $set: { lastReservedAt: new Date() } },
+          { session, returnDocument: 'after' }
+        );
+
+        const capacity = await reservableCapacity(current, session);
+        const days = await bookedPerDay(asset._id, startDate, endDate, session);
+        const full = days.find(d => d.booked >= capacity);
+        if (full) {
+          throw httpError(
+            409,
+            `${asset.productName} is fully booked on ${formatDate(full.date)}`
+          );
+        }
+
+        const doc = {
+          assetId: asset._id,
+          assetName: asset.productName,
+          companyId: asset.companyId,
+          companyName: asset.companyName || '',
+          employeeEmail: req.user.email,
+          employeeName: employee?.name || '',
+          startDate,
+          endDate,
+          note: note || '',
+          status: 'booked',
+          requestId: null,
+          createdAt: new Date(),
+        };
+        const { insertedId } = await reservationsCol.insertOne(doc, {
+          session,
+        });
+
+        await writeAudit({
+          actor: actorOf(req),
+          action: 'reservation.create',
+          entity: 'reservation',
+          entityId: insertedId,
+          companyId: asset.companyId,
+          after: doc,
+          session,
+        });
+
+        return { ...doc, _id: insertedId };
+      });
+
+      await notify(
+        asset.hrEmail,
+        'reservation.created',
+        reservationNotice(reservation)
+      );
+
+      res.status(201).send({
+        msg: 'Reservation booked',
+        reservationId: reservation._id,
+      });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// Employee: my reservations (?status=)
+app.get(
+  '/employee/reservations',
+  verifyToken,
+  verifyEmployee,
+  validate({
+    query: { status: { type: 'string', enum: RESERVATION_STATUSES } },
+  }),
+  async (req, res, next) => {
+    try {
+      const query = { employeeEmail: req.user.email };
+      if (req.query.status) query.status = req.query.status;
+
+      const reservations = await reservationsCol
+        .find(query)
+        .sort({ startDate: -1 })
+        .toArray();
+      res.send(reservations);
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// Employee: cancel one of my upcoming reservations
+app.patch(
+  '/employee/reservations/:id/cancel',
+  verifyToken,
+  verifyEmployee,
+  validate({ params: { id: requiredId } }),
+  async (req, res, next) => {
+    try {
+      await cancelReservation({
+        filter: {
+          _id: new ObjectId(req.params.id),
+          employeeEmail: req.user.email,
+        },
+        actor: actorOf(req),
+      });
+      res.send({ msg: 'Reservation cancelled' });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// Employee: availability calendar of an asset
+app.get(
+  '/employee/assets/:id/availability',
+  verifyToken,
+  verifyEmployee,
+  validate({ params: { id: requiredId }, query: calendarQuery }),
+  async (req, res, next) => {
+    try {
+      const asset = await assetsCol.findOne({
+        _id: new ObjectId(req.params.id),
+      });
+      if (!asset?.companyId) {
+        return res.status(404).send({ msg: 'Asset not found' });
+      }
+
+      res.send(await availabilityCalendar(asset, req.query));
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// HR: availability calendar of an asset
+app.get(
+  '/hr/assets/:id/availability',
+  verifyToken,
+  verifyHR,
+  validate({ params: { id: requiredId }, query: calendarQuery }),
+  async (req, res, next) => {
+    try {
+      const asset = await assetsCol.findOne({
+        _id: new ObjectId(req.params.id),
+        companyId: req.companyId,
+      });
+      if (!asset) return res.status(404).send({ msg: 'Asset not found' });
+
+      res.send(await availabilityCalendar(asset, req.query));
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// HR: reservations of the company (?assetId=&status=&from=&to=)
+app.get(
+  '/hr/reservations',
+  verifyToken,
+  verifyHR,
+  validate({
+    query: {
+      assetId: { type: 'objectId' },
+      status: { type: 'string', enum: RESERVATION_STATUSES },
+      ...calendarQuery,
+    },
+  }),
+  async (req, res, next) => {
+    try {
+      const { assetId, status, from, to } = req.query;
+
+      const query = { companyId: req.companyId };
+      if (assetId) query.assetId = new ObjectId(assetId);
+      if (status) query.status = status;
+      // reservations overlapping the range
+      if (from) query.endDate = { $gte: startOfDay(from) };
+      if (to) query.startDate = { $lte: startOfDay(to) };
+
+      const reservations = await reservationsCol
+        .find(query)
+        .sort({ startDate: 1 })
+        .toArray();
+      res.send(reservations);
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// HR: cancel an upcoming reservation
+app.patch(
+  '/hr/reservations/:id/cancel',
+  verifyToken,
+  verifyHR,
+  validate({ params: { id: requiredId }, body: { reason: notesRule } }),
+  async (req, res, next) => {
+    try {
+      await cancelReservation({
+        filter: { _id: new ObjectId(req.params.id), companyId: req.companyId },
+        actor: actorOf(req),
+        reason: req.body.reason,
+      });
+      res.send({ msg: 'Reservation cancelled' });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// ==================== RETURN DUE DATES ====================
+
+const DUE_REMINDER_DAYS = Number(process.env.DUE_REMINDER_DAYS) || 2;
+const OVERDUE_ESCALATION_DAYS =
+  Number(process.env.OVERDUE_ESCALATION_DAYS) || 7;
+const DUE_DATE_SWEEP_MS =
+  Number(process.env.DUE_DATE_SWEEP_MS) || 60 * 60 * 1000;
+
+// Due date of a returnable asset being approved: the one HR picked, else the
+// asset's default loan period, else none. Reservations end by themselves.
+const resolveDueDate = async (request, dueDate, approvalDate) => {
+  if (request.assetType !== 'Returnable') {
+    if (dueDate) throw httpError(400, 'Only returnable assets have a due date');
+    return null;
+  }
+  if (request.reservationId) return null;
+
+  if (dueDate) {
+    if (dueDate <= approvalDate) {
+      throw httpError(400, 'dueDate must be in the future');
+    }
+    return dueDate;
+  }
+
+  const asset = await assetsCol.findOne(
+    { _id: request.assetId },
+    { projection: { defaultLoanDays: 1 } }
+  );
+  return asset?.defaultLoanDays
+    ? addDays(approvalDate, asset.defaultLoanDays)
+    : null;
+};
+
+// Reminder stages, each sent once per due date: a heads-up to the employee,
+// an overdue notice, then an escalation to HR
+const dueDateStages = now => [
+  {
+    key: 'dueSoon',
+    type: 'return.due-soon',
+    dueDate: { $gt: now, $lte: addDays(now, DUE_REMINDER_DAYS) },
+    to: request => request.requesterEmail,
+  },
+  {
+    key: 'overdue',
+    type: 'return.overdue',
+    dueDate: { $lte: now },
+    to: request => request.requesterEmail,
+  },
+  {
+    key: 'escalated',
+    type: 'return.escalated',
+    dueDate: { $lte: addDays(now, -OVERDUE_ESCALATION_DAYS) },
+    to: request => request.hrEmail,
+  },
+];
+
+// Send every reminder that is due at `now`
+const processDueDates = async (now = new Date()) => {
+  const sent = {};
+
+  for (const stage of dueDateStages(now)) {
+    const flag = `reminders.${stage.key}`;
+    const candidates = await requestsCol
+      .find({
+        requestStatus: 'approved',
+        dueDate: stage.dueDate,
+        [flag]: null,
+      })
+      .toArray();
+
+    sent[stage.key] = 0;
+    for (const request of candidates) {
+      // claim the reminder so overlapping sweeps don't send it twice
+      const claimed = await requestsCol.updateOne(
+        { _id: request._id, dueDate: request.dueDate, [flag]: null },
+        { $set: { [flag]: now } }
+      );
+      if (claimed.modifiedCount === 0) continue;
+
+      await notify(stage.to(request), stage.type, request);
+      sent[stage.key]++;
+    }
+  }
+
+  return sent;
+};
+
+scheduleJob('due-dates', processDueDates, DUE_DATE_SWEEP_MS);
+
+// A held request with a due date, or a 404 / 400
+const findDatedRequest = async filter => {
+  const request = await requestsCol.findOne(filter);
+  if (!request) throw httpError(404, 'Request not found');
+  if (request.requestStatus !== 'approved' || !request.dueDate) {
+    throw httpError(400, 'Request has no due date to extend');
+  }
+  return request;
+};
+
+// Employee: ask to keep an asset longer
+app.post(
+  '/employee/requests/:id/extension',
+  verifyToken,
+  verifyEmployee,
+  validate({
+    params: { id: requiredId },
+    body: { until: { type: 'date', required: true }, reason: notesRule },
+  }),
+  async (req, res, next) => {
+    try {
+      const { until, reason } = req.body;
+
+      const request = await findDatedRequest({
+        _id: new ObjectId(req.params.id),
+        requesterEmail: req.user.email,
+      });
+      if (until <= request.dueDate) {
+        return res
+          .status(400)
+          .send({ msg: 'until must be after the current due date' });
+      }
+
+      const extension = {
+        requestedUntil: until,
+        reason: reason || '',
+        status: 'pending',
+        requestedAt: new Date(),
+      };
+      const after = await requestsCol.findOneAndUpdate(
+        {
+          _id: request._id,
+          requestStatus: 'approved',
+          'extension.status': { $ne: 'pending' },
+        },
+        { $set: { extension } },
+        { returnDocument: 'after' }
+      );
+      if (!after) {
+        return res
+          .status(409)
+          .send({ msg: 'An extension is already waiting for HR' });
+      }
+
+      await writeAudit({
+        actor: actorOf(req),
+        action: 'request.extension.request',
+        entity: 'request',
+        entityId: request._id,
+        companyId: request.companyId,
+        before: request,
+        after,
+      });
+
+      await notify(request.hrEmail, 'extension.requested', after);
+
+      res.status(201).send({ msg: 'Extension requested' });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// HR: approve or reject a pending extension
+app.patch(
+  '/hr/requests/:id/extension',
+  verifyToken,
+  verifyHR,
+  validate({
+    params: { id: requiredId },
+    body: {
+      decision: {
+        type: 'string',
+        required: true,
+        enum: ['approved', 'rejected'],
+      },
+      notes: notesRule,
+    },
+  }),
+  async (req, res, next) => {
+    try {
+      const { decision, notes } = req.body;
+
+      const request = await findDatedRequest({
+        _id: new ObjectId(req.params.id),
+        companyId: req.companyId,
+      });
+      if (request.extension?.status !== 'pending') {
+        return res.status(400).send({ msg: 'No extension is pending' });
+      }
+
+      const update = {
+        $set: {
+          'extension.status': decision,
+          'extension.decidedBy': req.user.email,
+          'extension.decidedAt': new Date(),
+          'extension.notes': notes || '',
+        },
+      };
+      if (decision === 'approved') {
+        update.$set.dueDate = request.extension.requestedUntil;
+        // the new due date gets its own reminders
+        update.$unset = { reminders: '' };
+      }
+
+      const after = await requestsCol.findOneAndUpdate(
+        { _id: request._id, 'extension.status': 'pending' },
+        update,
+        { returnDocument: 'after' }
+      );
+      if (!after) {
+        return res.status(409).send({ msg: 'Extension already decided' });
+      }
+
+      await writeAudit({
+        actor: actorOf(req),
+        action: `request.extension.${decision === 'approved' ? 'approve' : 'reject'}`,
+        entity: 'request',
+        entityId: request._id,
+        companyId: req.companyId,
+        before: request,
+        after,
+      });
+
+      await notify(request.requesterEmail, `extension.${decision}`, after);
+
+      res.send({ msg: `Extension ${decision}`, dueDate: after.dueDate });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// HR: set or clear the due date of an assigned returnable asset
+app.patch(
+  '/hr/requests/:id/due-date',
+  verifyToken,
+  verifyHR,
+  validate({
+    params: { id: requiredId },
+    body: { dueDate: { type: 'date', required: true, nullable: true } },
+  }),
+  async (req, res, next) => {
+    try {
+      const { dueDate } = req.body;
+
+      const request = await requestsCol.findOne({
+        _id: new ObjectId(req.params.id),
+        companyId: req.companyId,
+      });
+      if (!request) return res.status(404).send({ msg: 'Request not found' });
+      if (
+        request.requestStatus !== 'approved' ||
+        request.assetType !== 'Returnable' ||
+        request.reservationId
+      ) {
+        return res
+          .status(400)
+          .send({ msg: 'Only assigned returnable assets have a due date' });
+      }
+      if (dueDate && dueDate <= new Date()) {
+        return res.status(400).send({ msg: 'dueDate must be in the future' });
+      }
+
+      const after = await requestsCol.findOneAndUpdate(
+        { _id: request._id, requestStatus: 'approved' },
+        { $set: { dueDate }, $unset: { reminders: '' } },
+        { returnDocument: 'after' }
+      );
+      if (!after) {
+        return res.status(409).send({ msg: 'Request is no longer assigned' });
+      }
+
+      await writeAudit({
+        actor: actorOf(req),
+        action: 'request.due-date',
+        entity: 'request',
+        entityId: request._id,
+        companyId: req.companyId,
+        before: request,
+        after,
+      });
+
+      res.send({ msg: 'Due date updated', dueDate });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// HR: assets past their due date, most overdue first
+app.get(
+  '/hr/requests/overdue',
+  verifyToken,
+  verifyHR,
+  async (req, res, next) => {
+    try {
+      const now = new Date();
+      const requests = await requestsCol
+        .find({
+          companyId: req.companyId,
+          requestStatus: 'approved',
+          dueDate: { $lte: now },
+        })
+        .sort({ dueDate: 1 })
+        .toArray();
+
+      res.send(
+        requests.map(r => ({
+          ...r,
+          daysOverdue: Math.floor((now - r.dueDate) / DAY_MS),
+        }))
+      );
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// ==================== NOTICE BOARD ====================
+
+// Announcements that haven't expired
+const activeAnnouncementFilter = () => ({
+  $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }],
+});
+
+// null or '' clears the expiry
+const announcementFields = {
+  title: { type: 'string', max: 200 },
+  body: { type: 'string', max: 10000 },
+  pinned: { type: 'boolean' },
+  expiresAt: { type: 'date', nullable: true },
+};
+
+// HR: create announcement
+app.post(
+  '/hr/announcements',
+  verifyToken,
+  verifyHR,
+  validate({
+    body: {
+      ...announcementFields,
+      title: { ...announcementFields.title, required: true },
+      body: { ...announcementFields.body, required: true },
+    },
+  }),
+  async (req, res, next) => {
+    try {
+      const { title, body, pinned, expiresAt } = req.body;
+
+      const company = await companiesCol.findOne({ _id: req.companyId });
+
+      const announcement = {
+        companyId: req.companyId,
+        companyName: company?.name || '',
+        title,
+        body,
+        pinned: Boolean(pinned),
+        expiresAt: expiresAt ?? null,
+        createdBy: req.user.email,
+        createdAt: new Date(),
+        updatedAt: new Date(),
+      };
+
+      const result = await announcementsCol.insertOne(announcement);
+
+      await writeAudit({
+        actor: actorOf(req),
+        action: 'announcement.create',
+        entity: 'announcement',
+        entityId: result.insertedId,
+        companyId: req.companyId,
+        after: announcement,
+      });
+
+      const employees = await getCompanyEmployees(req.companyId);
+      await notifyMany(
+        employees.map(e => e.email),
+        'announcement.created',
+        announcement
+      );
+
+      res
+        .status(201)
+        .send({ msg: 'Announcement created', id: result.insertedId });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// HR: list announcements with read counts (?includeExpired=true)
+app.get(
+  '/hr/announcements',
+  verifyToken,
+  verifyHR,
+  validate({ query: { includeExpired: { type: 'boolean', default: false } } }),
+  async (req, res, next) => {
+    try {
+      const query = { companyId: req.companyId };
+      if (!req.query.includeExpired) {
+        Object.assign(query, activeAnnouncementFilter());
+      }
+
+      const announcements = await announcementsCol
+        .find(query)
+        .sort({ pinned: -1, createdAt: -1 })
+        .toArray();
+
+      const counts = await announcementReadsCol
+        .aggregate([
+          {
+            $match: { announcementId: { $in: announcements.map(a => a._id) } },
+          },
+          { $group: { _id: '$announcementId', count: { $sum: 1 } } },
+        ])
+        .toArray();
+      const countById = new Map(counts.map(c => [String(c._id), c.count]));
+
+      const employeeCount = await affiliationsCol.countDocuments({
+        companyId: req.companyId,
+        status: 'active',
+      });
+
+      res.send(
+        announcements.map(a => ({
+          ...a,
+          readCount: countById.get(String(a._id)) || 0,
+          employeeCount,
+        }))
+      );
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// HR: edit, pin/unpin or expire an announcement
+app.patch(
+  '/hr/announcements/:id',
+  verifyToken,
+  verifyHR,
+  validate({ params: { id: requiredId }, body: announcementFields }),
+  async (req, res, next) => {
+    try {
+      const { id } = req.params;
+      const { title, body, pinned, expiresAt } = req.body;
+
+      const update = { updatedAt: new Date() };
+      if (title) update.title = title;
+      if (body) update.body = body;
+      if (pinned !== undefined) update.pinned = pinned;
+      if (expiresAt !== undefined) update.expiresAt = expiresAt;
+
+      const before = await announcementsCol.findOne({
+        _id: new ObjectId(id),
+        companyId: req.companyId,
+      });
+      if (!before) {
+        return res.status(404).send({ msg: 'Announcement not found' });
+      }
+
+      const after = await announcementsCol.findOneAndUpdate(
+        { _id: before._id },
+        { $set: update },
+        { returnDocument: 'after' }
+      );
+
+      await writeAudit({
+        actor: actorOf(req),
+        action: 'announcement.update',
+        entity: 'announcement',
+        entityId: before._id,
+        companyId: req.companyId,
+        before,
+        after,
+      });
+
+      res.send({ msg: 'Announcement updated', announcement: after });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// HR: who has and hasn't read an announcement
+app.get(
+  '/hr/announcements/:id/reads',
+  verifyToken,
+  verifyHR,
+  validate({ params: { id: requiredId } }),
+  async (req, res, next) => {
+    try {
+      const { id } = req.params;
+      const announcement = await announcementsCol.findOne({
+        _id: new ObjectId(id),
+        companyId: req.companyId,
+      });
+      if (!announcement) {
+        return res.status(404).send({ msg: 'Announcement not found' });
+      }
+
+      const reads = await announcementReadsCol
+        .find({ announcementId: announcement._id })
+        .toArray();
+      const readAtByEmail = new Map(
+        reads.map(r => [r.employeeEmail, r.readAt])
+      );
+
+      const affiliations = await affiliationsCol
+        .find({ companyId: req.companyId, status: 'active' })
+        .project({ employeeEmail: 1, employeeName: 1 })
+        .toArray();
+
+      const employees = affiliations.map(a => ({
+        email: a.employeeEmail,
+        name: a.employeeName,
+        readAt: readAtByEmail.get(a.employeeEmail) || null,
+      }));
+
+      res.send({
+        read: employees.filter(e => e.readAt),
+        unread: employees.filter(e => !e.readAt),
+      });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// Employee: feed for every company I belong to
+app.get(
+  '/employee/announcements',
+  verifyToken,
+  verifyEmployee,
+  async (req, res, next) => {
+    try {
+      const companyIds = await getEmployeeCompanyIds(req.user.email);
+      if (!companyIds.length) return res.send([]);
+
+      const announcements = await announcementsCol
+        .find({ companyId: { $in: companyIds }, ...activeAnnouncementFilter() })
+        .sort({ pinned: -1, createdAt: -1 })
+        .toArray();
+
+      const reads = await announcementReadsCol
+        .find({
+          employeeEmail: req.user.email,
+          announcementId: { $in: announcements.map(a => a._id) },
+        })
+        .toArray();
+      const readIds = new Set(reads.map(r => String(r.announcementId)));
+
+      res.send(
+        announcements.map(a => ({ ...a, read: readIds.has(String(a._id)) }))
+      );
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// Employee: acknowledge an announcement
+app.post(
+  '/employee/announcements/:id/read',
+  verifyToken,
+  verifyEmployee,
+  validate({ params: { id: requiredId } }),
+  async (req, res, next) => {
+    try {
+      const { id } = req.params;
+      const companyIds = await getEmployeeCompanyIds(req.user.email);
+
+      const announcement = await announcementsCol.findOne({
+        _id: new ObjectId(id),
+        companyId: { $in: companyIds },
+      });
+      if (!announcement) {
+        return res.status(404).send({ msg: 'Announcement not found' });
+      }
+
+      await announcementReadsCol.updateOne(
+        { announcementId: announcement._id, employeeEmail: req.user.email },
+        {
+          $setOnInsert: {
+            companyId: announcement.companyId,
+            readAt: new Date(),
+          },
+        },
+        { upsert: true }
+      );
+
+      res.send({ msg: 'Announcement acknowledged' });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// ==================== NOTIFICATIONS ====================
+
+// My inbox (?unread=true for unread only)
+app.get(
+  '/notifications',
+  verifyToken,
+  validate({
+    query: {
+      unread: { type: 'boolean', default: false },
+      limit: { type: 'number', integer: true, min: 1, max: 100, default: 20 },
+    },
+  }),
+  async (req, res, next) => {
+    try {
+      const { unread, limit } = req.query;
+
+      const query = { userEmail: req.user.email };
+      if (unread) query.read = false;
+
+      const notifications = await notificationsCol
+        .find(query)
+        .sort({ createdAt: -1 })
+        .limit(limit)
+        .toArray();
+      res.send(notifications);
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// Unread count (for the bell badge)
+app.get('/notifications/unread-count', verifyToken, async (req, res, next) => {
+  try {
+    const count = await notificationsCol.countDocuments({
+      userEmail: req.user.email,
+      read: false,
+    });
+    res.send({ count });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Mark every notification read
+app.patch('/notifications/read-all', verifyToken, async (req, res, next) => {
+  try {
+    const result = await notificationsCol.updateMany(
+      { userEmail: req.user.email, read: false },
+      { $set: { read: true, readAt: new Date() } }
+    );
+    res.send({ msg: 'Notifications marked read', count: result.modifiedCount });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Mark one notification read
+app.patch(
+  '/notifications/:id/read',
+  verifyToken,
+  validate({ params: { id: requiredId } }),
+  async (req, res, next) => {
+    try {
+      const { id } = req.params;
+      const result = await notificationsCol.updateOne(
+        { _id: new ObjectId(id), userEmail: req.user.email },
+        { $set: { read: true, readAt: new Date() } }
+      );
+      if (result.matchedCount === 0) {
+        return res.status(404).send({ msg: 'Notification not found' });
+      }
+      res.send({ msg: 'Notification marked read' });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// ==================== REPORTS (PDF) ====================
+
+// Assets currently in an employee's custody
+app.get(
+  '/hr/reports/custody/:email',
+  verifyToken,
+  verifyHR,
+  validate({ params: { email: requiredEmail } }),
+  async (req, res, next) => {
+    try {
+      const { email } = req.params;
+
+      const requests = await requestsCol
+        .find({
+          companyId: req.companyId,
+          requesterEmail: email,
+          requestStatus: { $in: ['approved', 'return-pending'] },
+        })
+        .sort({ approvalDate: 1 })
+        .toArray();
+
+      // removed employees still holding the company's assets are covered too
+      const affiliation =
+        !requests.length &&
+        (await affiliationsCol.findOne({
+          companyId: req.companyId,
+          employeeEmail: email,
+          status: 'active',
+        }));
+      if (!requests.length && !affiliation) {
+        return res.status(404).send({ msg: 'Employee not found' });
+      }
+
+      const employee = await usersCol.findOne({ email, role: 'employee' });
+      const company = await companiesCol.findOne({ _id: req.companyId });
+
+      sendPdf(res, `custody-${email}.pdf`, doc => {
+        pdfHeader(doc, 'Assets in Custody', company?.name || '');
+        doc
+          .fontSize(11)
+          .text(
+            `${employee?.name || requests[0]?.requesterName || ''} <${email}>`
+          )
+          .text(
+            `${requests.reduce((n, r) => n + (r.approvedQuantity || 1), 0)} asset(s)`
+          )
+          .moveDown();
+
+        pdfTable(
+          doc,
+          [
+            { label: 'Asset', key: 'assetName', width: 130 },
+            { label: 'Qty', key: 'quantity', width: 30 },
+            { label: 'Type', key: 'assetType', width: 90 },
+            { label: 'Tag', key: 'tagCode', width: 95 },
+            { label: 'Approved', key: 'approved', width: 70 },
+            { label: 'Status', key: 'requestStatus', width: 80 },
+          ],
+          requests.map(r => ({
+            ...r,
+            quantity: r.approvedQuantity || 1,
+            approved: formatDate(r.approvalDate),
+          }))
+        );
+      });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// Company inventory with available and assigned counts
+app.get(
+  '/hr/reports/inventory',
+  verifyToken,
+  verifyHR,
+  async (req, res, next) => {
+    try {
+      const company = await companiesCol.findOne({ _id: req.companyId });
+      const rows = await getInventoryRows(req.companyId);
+
+      sendPdf(res, 'inventory.pdf', doc => {
+        pdfHeader(doc, 'Inventory Report', company?.name || '');
+        pdfTable(
+          doc,
+          [
+            { label: 'Asset', key: 'productName', width: 165 },
+            { label: 'SKU', key: 'sku', width: 80 },
+            { label: 'Type', key: 'productType', width: 85 },
+            { label: 'Total', key: 'productQuantity', width: 55 },
+            { label: 'Available', key: 'availableQuantity', width: 55 },
+            { label: 'Assigned', key: 'assignedQuantity', width: 55 },
+          ],
+          rows
+        );
+
+        const sum = key => rows.reduce((n, r) => n + (r[key] || 0), 0);
+        doc
+          .moveDown()
+          .font('Helvetica-Bold')
+          .text(
+            `Totals: ${sum('productQuantity')} units, ${sum(
+              'availableQuantity'
+            )} available, ${sum('assignedQuantity')} assigned`
+          );
+      });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// Verify a printed hand-over receipt against the signature printed on it
+app.get(
+  '/receipts/:receiptNo/verify',
+  validate({
+    params: { receiptNo: { type: 'string', required: true, max: 64 } },
+    query: { signature: { type: 'string', required: true, max: 128 } },
+  }),
+  async (req, res, next) => {
+    try {
+      const receipt = await receiptsCol.findOne({
+        receiptNo: req.params.receiptNo,
+      });
+      // unknown numbers and bad signatures look the same, and reveal nothing
+      const valid =
+        !!receipt &&
+        sameSignature(req.query.signature, receipt.signature) &&
+        sameSignature(signReceipt(receipt), receipt.signature);
+      if (!valid) return res.send({ valid: false });
+
+      res.send({
+        valid,
+        receiptNo: receipt.receiptNo,
+        companyName: receipt.companyName,
+        assetName: receipt.assetName,
+        issuedAt: receipt.issuedAt,
+      });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// ==================== HR: AUDIT LOG ====================
+
+// Query the audit log by entity, actor and date range
+app.get(
+  '/hr/audit-logs',
+  verifyToken,
+  verifyHR,
+  validate({
+    query: {
+      entity: { type: 'string', max: 50 },
+      entityId: { type: 'objectId' },
+      action: { type: 'string', max: 100 },
+      actor: { type: 'string', max: 254 },
+      from: { type: 'date' },
+      to: { type: 'date' },
+      page: { type: 'number', integer: true, min: 1, default: 1 },
+      limit: { type: 'number', integer: true, min: 1, max: 200, default: 50 },
+    },
+  }),
+  async (req, res, next) => {
+    try {
+      const { entity, entityId, action, actor, from, to, page, limit } =
+        req.query;
+
+      // employees' own account events, for the company's employees (past
+      // and present) and applicants
+      const employeeEmails = await affiliationsCol.distinct('employeeEmail', {
+        companyId: req.companyId,
+      });
+      const applicantEmails = await companyApplicantEmails(req.companyId);
+      const people = await usersCol.distinct('_id', {
+        role: 'employee',
+        email: { $in: [...employeeEmails, ...applicantEmails] },
+      });
+
+      const query = {
+        $or: [
+          { companyId: req.companyId },
+          { companyId: null, entity: 'user', entityId: { $in: people } },
+        ],
+      };
+      if (entity) query.entity = entity;
+      if (entityId) query.entityId = new ObjectId(entityId);
+      if (action) query.action = action;
+      if (actor) query['actor.email'] = actor;
+      if (from || to) {
+        query.at = {};
+        if (from) query.at.$gte = from;
+        if (to) query.at.$lte = to;
+      }
 
-    const teams = [];
-
-    for (const companyName of companySet) {
-      const companyReqs = await requestsCol
-        .find({ companyName, requestStatus: 'approved' })
+      const total = await auditCol.countDocuments(query);
+      const logs = await auditCol
+        .find(query)
+        .sort({ at: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
         .toArray();
 
-      if (companyReqs.length === 0) continue;
+      res.send({
+        data: logs,
+        total,
+        page,
+        limit,
+        totalPages: Math.ceil(total / limit),
+      });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
 
-      const emails = [...new Set(companyReqs.map(r => r.requesterEmail))];
+// ==================== PACKAGES & STRIPE UPGRADE ====================
 
-      const colleagues = await usersCol
-        .find({ email: { $in: emails } })
-        .project({
-          _id: 0,
-          name: 1,
-          email: 1,
-          profileImage: 1,
-          dateOfBirth: 1,
-          position: 1,
-        })
-        .toArray();
 
-      teams.push({
-        companyName,
-        colleagues,
-      });
+// Get all packages
+app.get('/packages', async (req, res, next) => {
+  try {
+    const pkgs = await packagesCol.find({}).toArray();
+    res.send(pkgs);
+  } catch (err) {
+    next(err);
+  }
+});
+
+// One-off package payments never expired; packages are now paid for as
+// subscriptions (POST /hr/subscription). Intents created before that are
+// still settled by the webhook and /hr/upgrade.
+app.post('/create-payment-intent', (req, res) => {
+  res.status(410).send({
+    msg: 'One-off upgrades are no longer available, subscribe to a package instead',
+  });
+});
+
+// Apply a package upgrade for a succeeded PaymentIntent (at most once per intent)
+const applyPaidUpgrade = async paymentIntent => {
+  const { packageName, hrEmail } = paymentIntent.metadata || {};
+  if (!packageName || !hrEmail) return false;
+
+  const pkg = await packagesCol.findOne({ name: packageName });
+  if (!pkg) return false;
+
+  if (paymentIntent.amount_received < pkg.price * 100) {
+    console.error('Payment amount too low for package:', paymentIntent.id);
+    return false;
+  }
+
+  // claim the intent first so retried webhook deliveries can't upgrade twice
+  const claimed = await paymentsCol.findOneAndUpdate(
+    { paymentIntentId: paymentIntent.id, upgradeApplied: { $ne: true } },
+    { $set: { upgradeApplied: true, upgradedAt: new Date() } }
+  );
+  if (!claimed) return false;
+
+  const before = await usersCol.findOne({ email: hrEmail, role: 'hr' });
+  const after = await usersCol.findOneAndUpdate(
+    { email: hrEmail, role: 'hr' },
+    {
+      $set: {
+        subscription: pkg.name.toLowerCase(),
+        packageLimit: pkg.employeeLimit,
+        updatedAt: new Date(),
+      },
+    },
+    { returnDocument: 'after' }
+  );
+
+  if (after) {
+    await writeAudit({
+      actor: { id: null, email: 'stripe-webhook', role: 'system' },
+      action: 'package.upgrade',
+      entity: 'user',
+      entityId: after._id,
+      companyId: after.companyId,
+      before: {
+        subscription: before?.subscription,
+        packageLimit: before?.packageLimit,
+      },
+      after: {
+        subscription: after.subscription,
+        packageLimit: after.packageLimit,
+        paymentIntentId: paymentIntent.id,
+      },
+    });
+  }
+  return true;
+};
+
+// Stripe webhook (signed events only)
+app.post('/stripe/webhook', async (req, res, next) => {
+  let event;
+  try {
+    event = stripe.webhooks.constructEvent(
+      req.rawBody,
+      req.headers['stripe-signature'],
+      process.env.STRIPE_WEBHOOK_SECRET
+    );
+  } catch (err) {
+    console.error('Stripe webhook signature error:', err.message);
+    return res.status(400).send({ msg: 'Invalid signature' });
+  }
+
+  try {
+    const paymentIntent = event.data.object;
+
+    if (
+      event.type === 'payment_intent.succeeded' ||
+      event.type === 'payment_intent.payment_failed'
+    ) {
+      const { packageName, hrEmail } = paymentIntent.metadata || {};
+      const status =
+        event.type === 'payment_intent.succeeded' ? 'succeeded' : 'failed';
+
+      await paymentsCol.updateOne(
+        { paymentIntentId: paymentIntent.id },
+        {
+          $set: {
+            status,
+            amountReceived: paymentIntent.amount_received,
+            failureMessage: paymentIntent.last_payment_error?.message || null,
+            lastEventId: event.id,
+            updatedAt: new Date(),
+          },
+          $setOnInsert: {
+            hrEmail: hrEmail || null,
+            packageName: packageName || null,
+            amount: paymentIntent.amount,
+            currency: paymentIntent.currency,
+            upgradeApplied: false,
+            createdAt: new Date(),
+          },
+        },
+        { upsert: true }
+      );
+
+      if (status === 'succeeded') await applyPaidUpgrade(paymentIntent);
+    } else if (BILLING_EVENTS.includes(event.type)) {
+      await handleBillingEvent(event);
     }
 
-    res.send(teams);
+    res.send({ received: true });
   } catch (err) {
-    console.error('My team error:', err);
-    res.status(500).send({ msg: 'Server Error', error: err.toString() });
+    next(err);
   }
 });
 
-// ==================== HR: ALL REQUESTS ====================
+// HR: Upgrade package (confirms a payment already verified by the webhook)
+app.post(
+  '/hr/upgrade',
+  verifyToken,
+  verifyHR,
+  validate({
+    body: {
+      packageName: { type: 'string', required: true, max: 50 },
+      paymentIntentId: { type: 'string', required: true, max: 100 },
+    },
+  }),
+  async (req, res, next) => {
+    try {
+      const { packageName, paymentIntentId } = req.body;
+      const hrEmail = req.user.email;
+
+      const payment = await paymentsCol.findOne({
+        paymentIntentId,
+        companyId: req.companyId,
+      });
+      if (!payment) return res.status(404).send({ msg: 'Payment not found' });
+
+      if (payment.hrEmail !== hrEmail || payment.packageName !== packageName) {
+        return res
+          .status(400)
+          .send({ msg: 'Payment does not match this package upgrade' });
+      }
+
+      if (payment.status !== 'succeeded' || !payment.upgradeApplied) {
+        return res.status(402).send({
+          msg: 'Payment not confirmed yet',
+          status: payment.status,
+        });
+      }
+
+      const pkg = await packagesCol.findOne({ name: packageName });
+      if (!pkg) return res.status(404).send({ msg: 'Package not found' });
+
+      res.send({
+        msg: 'Package upgraded',
+        packageName: pkg.name,
+        employeeLimit: pkg.employeeLimit,
+        price: pkg.price,
+      });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// ==================== BILLING: SUBSCRIPTIONS ====================
+
+// A company can pay for its package as a monthly Stripe subscription.
+// Stripe owns the state: every change made here and every webhook ends in
+// syncSubscription(), which stores it on the company (`billing`) and applies
+// the package limit to the company's HR account. When a renewal fails the
+// package is kept for SUBSCRIPTION_GRACE_DAYS, then the company falls back
+// to the starting package.
+
+const SUBSCRIPTION_GRACE_DAYS =
+  Number(process.env.SUBSCRIPTION_GRACE_DAYS) || 7;
+const BILLING_SWEEP_MS = Number(process.env.BILLING_SWEEP_MS) || 60 * 60 * 1000;
+const BILLING_ACTOR = { id: null, email: 'stripe-billing', role: 'system' };
+
+// what every HR account starts with, and returns to when a subscription ends
+const STARTING_PACKAGE = { subscription: 'basic', packageLimit: 5 };
+
+// how long a subscribe call holds the company before another may retry
+const SUBSCRIBE_CLAIM_MS = 5 * MINUTE;
+
+const ACTIVE_STATUSES = ['active', 'trialing'];
+const GRACE_STATUSES = ['past_due', 'unpaid'];
+const ENDED_STATUSES = ['canceled', 'incomplete_expired'];
+
+const BILLING_EVENTS = [
+  'customer.subscription.created',
+  'customer.subscription.updated',
+  'customer.subscription.deleted',
+  'invoice.paid',
+  'invoice.payment_failed',
+];
+
+const hasLiveSubscription = company =>
+  Boolean(company?.billing?.subscriptionId) &&
+  !ENDED_STATUSES.includes(company.billing.status);
+
+// Monthly Stripe price of a package, created on first use
+const packagePrice = async pkg => {
+  if (pkg.stripePriceId) return pkg.stripePriceId;
+
+  const price = await stripe.prices.create({
+    currency: 'usd',
+    unit_amount: pkg.price * 100,
+    recurring: { interval: 'month' },
+    product_data: { name: `AssetVerse ${pkg.name}` },
+    metadata: { packageName: pkg.name },
+  });
+  // a concurrent first use may have won; keep whichever was stored first
+  await packagesCol.updateOne(
+    { _id: pkg._id, stripePriceId: null },
+    { $set: { stripePriceId: price.id } }
+  );
+  return (await packagesCol.findOne({ _id: pkg._id })).stripePriceId;
+};
+
+// Stripe customer of a company, created on first use
+const companyCustomer = async (company, email) => {
+  if (company.billing?.customerId) return company.billing.customerId;
+
+  const customer = await stripe.customers.create({
+    email,
+    name: company.name,
+    metadata: { companyId: company._id.toString() },
+  });
+  await companiesCol.updateOne(
+    { _id: company._id, 'billing.customerId': null },
+    { $set: { 'billing.customerId': customer.id } }
+  );
+  return (await companiesCol.findOne({ _id: company._id })).billing.customerId;
+};
+
+const companyOwner = company => usersCol.findOne({ _id: company?.ownerId });
+
+// Employees plus open invites: the seats a package must have room for
+const seatsInUse = async companyId => {
+  const owner = await companyOwner(
+    await companiesCol.findOne({ _id: companyId })
+  );
+  const invited = await invitesCol.countDocuments(openInvites(companyId));
+  return (owner?.currentEmployees || 0) + invited;
+};
+
+const ensurePackageFits = async (companyId, pkg) => {
+  const used = await seatsInUse(companyId);
+  if (used > pkg.employeeLimit) {
+    throw httpError(
+      409,
+      `${pkg.name} allows ${pkg.employeeLimit} employees but your company uses ${used} seats (including open invites). Remove employees first.`
+    );
+  }
+};
+
+// Put the company's HR account on a package
+const setCompanyPackage = async (company, values, details) => {
+  const before = await usersCol.findOneAndUpdate(
+    { _id: company.ownerId },
+    { $set: { ...values, updatedAt: new Date() } }
+  );
+  if (
+    !before ||
+    (before.subscription === values.subscription &&
+      before.packageLimit === values.packageLimit)
+  ) {
+    return;
+  }
+
+  await writeAudit({
+    actor: BILLING_ACTOR,
+    action: 'package.change',
+    entity: 'user',
+    entityId: before._id,
+    companyId: company._id,
+    before: {
+      subscription: before.subscription,
+      packageLimit: before.packageLimit,
+    },
+    after: { ...values, ...details },
+  });
+};
+
+const periodEndOf = subscription => {
+  const end =
+    subscription.items?.data?.[0]?.current_period_end ??
+    subscription.current_period_end;
+  return end ? new Date(end * 1000) : null;
+};
+
+// Store a subscription's current state on its company and apply the package
+const syncSubscription = async (subscription, now = new Date()) => {
+  const company = await companiesCol.findOne({
+    'billing.customerId': subscription.customer,
+  });
+  if (!company) return null;
+  // late events about a subscription the company has since replaced
+  if (
+    company.billing.subscriptionId &&
+    company.billing.subscriptionId !== subscription.id
+  ) {
+    return company.billing;
+  }
+
+  const priceId = subscription.items?.data?.[0]?.price?.id || null;
+  const pkg = priceId
+    ? await packagesCol.findOne({ stripePriceId: priceId })
+    : null;
+  const inGrace = GRACE_STATUSES.includes(subscription.status);
+
+  const billing = {
+    ...company.billing,
+    subscriptionId: subscription.id,
+    status: subscription.status,
+    packageName: pkg?.name || company.billing.packageName || null,
+    priceId,
+    currentPeriodEnd: periodEndOf(subscription),
+    cancelAtPeriodEnd: Boolean(subscription.cancel_at_period_end),
+    graceUntil: inGrace
+      ? company.billing.graceUntil || addDays(now, SUBSCRIPTION_GRACE_DAYS)
+      : null,
+    lapsedAt: inGrace ? company.billing.lapsedAt || null : null,
+    syncedAt: now,
+  };
+  await companiesCol.updateOne({ _id: company._id }, { $set: { billing } });
+
+  const details = {
+    subscriptionId: subscription.id,
+    status: subscription.status,
+  };
+  if (ACTIVE_STATUSES.includes(subscription.status) && pkg) {
+    await setCompanyPackage(
+      company,
+      {
+        subscription: pkg.name.toLowerCase(),
+        packageLimit: pkg.employeeLimit,
+      },
+      details
+    );
+  } else if (ENDED_STATUSES.includes(subscription.status)) {
+    await setCompanyPackage(company, STARTING_PACKAGE, details);
+  }
+  // incomplete: nothing paid yet; past_due / unpaid: keep it during grace
+
+  return billing;
+};
+
+const subscriptionIdOf = invoice =>
+  invoice.parent?.subscription_details?.subscription ??
+  invoice.subscription ??
+  null;
+
+// Keep a copy of every subscription invoice for the billing history
+const recordInvoice = (invoice, company) =>
+  invoicesCol.updateOne(
+    { invoiceId: invoice.id },
+    {
+      $set: {
+        companyId: company._id,
+        customerId: invoice.customer,
+        subscriptionId: subscriptionIdOf(invoice),
+        number: invoice.number || null,
+        status: invoice.status,
+        billingReason: invoice.billing_reason || null,
+        amountDue: invoice.amount_due,
+        amountPaid: invoice.amount_paid,
+        currency: invoice.currency,
+        periodStart: invoice.period_start
+          ? new Date(invoice.period_start * 1000)
+          : null,
+        periodEnd: invoice.period_end
+          ? new Date(invoice.period_end * 1000)
+          : null,
+        hostedInvoiceUrl: invoice.hosted_invoice_url || null,
+        updatedAt: new Date(),
+      },
+      $setOnInsert: {
+        createdAt: invoice.created
+          ? new Date(invoice.created * 1000)
+          : new Date(),
+      },
+    },
+    { upsert: true }
+  );
+
+// Handle each event once: Stripe redelivers events it isn't sure arrived,
+// and only the failure email isn't safe to repeat. A failed attempt
+// releases the event so the next delivery can retry it.
+const handleBillingEvent = async event => {
+  const claimed = await stripeEventsCol.updateOne(
+    { _id: event.id },
+    { $setOnInsert: { type: event.type, receivedAt: new Date() } },
+    { upsert: true }
+  );
+  if (!claimed.upsertedCount) return;
 
-// Get all requests
-app.get('/hr/requests', async (req, res) => {
   try {
-    const requests = await requestsCol
-      .find({})
-      .sort({ requestDate: -1 })
-      .toArray();
-    res.send(requests);
+    await applyBillingEvent(event);
+  } catch (err) {
+    await stripeEventsCol.deleteOne({ _id: event.id });
+    throw err;
+  }
+};
+
+const applyBillingEvent = async event => {
+  const object = event.data.object;
+  const isInvoice = event.type.startsWith('invoice.');
+
+  const company = await companiesCol.findOne({
+    'billing.customerId': object.customer,
+  });
+  if (!company) return;
+  if (isInvoice) await recordInvoice(object, company);
+
+  const subscriptionId = isInvoice ? subscriptionIdOf(object) : object.id;
+  if (!subscriptionId) return;
+
+  // events can arrive out of order, so sync from Stripe's current state
+  const subscription =
+    event.type === 'customer.subscription.deleted'
+      ? object
+      : await stripe.subscriptions.retrieve(subscriptionId);
+  const billing = await syncSubscription(subscription);
+
+  if (event.type === 'invoice.payment_failed' && billing?.graceUntil) {
+    const owner = await companyOwner(company);
+    await notify(owner?.email, 'billing.payment-failed', {
+      companyName: company.name,
+      packageName: billing.packageName,
+      graceUntil: billing.graceUntil,
+    });
+  }
+};
+
+// Move companies whose grace period has run out back to the starting package
+const processSubscriptions = async (now = new Date()) => {
+  const lapsing = await companiesCol
+    .find({
+      'billing.status': { $in: GRACE_STATUSES },
+      'billing.graceUntil': { $lte: now },
+      'billing.lapsedAt': null,
+    })
+    .toArray();
+
+  let lapsed = 0;
+  for (const company of lapsing) {
+    const claimed = await companiesCol.updateOne(
+      { _id: company._id, 'billing.lapsedAt': null },
+      { $set: { 'billing.lapsedAt': now } }
+    );
+    if (claimed.modifiedCount === 0) continue;
+
+    await setCompanyPackage(company, STARTING_PACKAGE, {
+      subscriptionId: company.billing.subscriptionId,
+      reason: 'grace period ended',
+    });
+
+    const owner = await companyOwner(company);
+    await notify(owner?.email, 'billing.lapsed', {
+      companyName: company.name,
+      packageName: company.billing.packageName,
+      packageLimit: STARTING_PACKAGE.packageLimit,
+    });
+    lapsed++;
+  }
+
+  return { lapsed };
+};
+
+scheduleJob('billing', processSubscriptions, BILLING_SWEEP_MS);
+
+// Company with a live subscription, or a 404
+const findSubscribedCompany = async companyId => {
+  const company = await companiesCol.findOne({ _id: companyId });
+  if (!hasLiveSubscription(company)) {
+    throw httpError(404, 'No active subscription');
+  }
+  return company;
+};
+
+// Package of a plan change, after checking it fits the company
+const planChangeTarget = async (company, packageName) => {
+  const pkg = await packagesCol.findOne({ name: packageName });
+  if (!pkg) throw httpError(404, 'Package not found');
+  if (pkg.name === company.billing.packageName) {
+    throw httpError(400, `Already on ${pkg.name}`);
+  }
+  await ensurePackageFits(company._id, pkg);
+  return pkg;
+};
+
+const writeBillingAudit = (req, action, before, after) =>
+  writeAudit({
+    actor: actorOf(req),
+    action,
+    entity: 'company',
+    entityId: req.companyId,
+    companyId: req.companyId,
+    before: { billing: before || null },
+    after: { billing: after || null },
+  });
+
+const planQuery = {
+  packageName: { type: 'string', required: true, max: 50 },
+};
+
+// HR: current subscription, package and seats in use
+app.get('/hr/subscription', verifyToken, verifyHR, async (req, res, next) => {
+  try {
+    const company = await companiesCol.findOne({ _id: req.companyId });
+    const owner = await companyOwner(company);
+
+    res.send({
+      billing: company?.billing || null,
+      lapsed: Boolean(company?.billing?.lapsedAt),
+      subscription: owner?.subscription || null,
+      packageLimit: owner?.packageLimit || 0,
+      seatsInUse: await seatsInUse(req.companyId),
+    });
   } catch (err) {
-    console.error('HR requests error:', err);
-    res.status(500).send({ msg: 'Server Error', error: err.toString() });
+    next(err);
   }
 });
 
-// Approve request
-app.patch('/hr/requests/:id/approve', async (req, res) => {
-  try {
-    const { id } = req.params;
+// HR: subscribe to a package. Answers the client secret to confirm the
+// first payment with Stripe.js; the package applies once it's paid.
+app.post(
+  '/hr/subscription',
+  limits.paymentIp,
+  verifyToken,
+  verifyHR,
+  limits.paymentUser,
+  validate({ body: planQuery }),
+  async (req, res, next) => {
+    try {
+      const pkg = await packagesCol.findOne({ name: req.body.packageName });
+      if (!pkg) return res.status(404).send({ msg: 'Package not found' });
+      await ensurePackageFits(req.companyId, pkg);
+
+      // claim the company first so concurrent calls can't both subscribe
+      const now = new Date();
+      const company = await companiesCol.findOneAndUpdate(
+        {
+          _id: req.companyId,
+          $and: [
+            {
+              $or: [
+                { 'billing.subscriptionId': null },
+                { 'billing.status': { $in: ENDED_STATUSES } },
+              ],
+            },
+            {
+              $or: [
+                { 'billing.subscribingAt': null },
+                {
+                  'billing.subscribingAt': {
+                    $lt: new Date(now.getTime() - SUBSCRIBE_CLAIM_MS),
+                  },
+                },
+              ],
+            },
+          ],
+        },
+        { $set: { 'billing.subscribingAt': now } }
+      );
+      if (!company) {
+        return res.status(409).send({
+          msg: 'Your company already has a subscription, change its plan instead',
+        });
+      }
+
+      let subscription;
+      try {
+        const customer = await companyCustomer(company, req.user.email);
+        subscription = await stripe.subscriptions.create({
+          customer,
+          items: [{ price: await packagePrice(pkg) }],
+          payment_behavior: 'default_incomplete',
+          payment_settings: { save_default_payment_method: 'on_subscription' },
+          expand: ['latest_invoice.confirmation_secret'],
+          metadata: {
+            companyId: req.companyId.toString(),
+            packageName: pkg.name,
+          },
+        });
+      } catch (err) {
+        await companiesCol.updateOne(
+          { _id: req.companyId, 'billing.subscribingAt': now },
+          { $set: { 'billing.subscribingAt': null } }
+        );
+        throw err;
+      }
+
+      // record the new subscription before its webhooks can arrive
+      await companiesCol.updateOne(
+        { _id: req.companyId },
+        {
+          $set: {
+            'billing.subscriptionId': subscription.id,
+            'billing.packageName': pkg.name,
+            'billing.graceUntil': null,
+            'billing.lapsedAt': null,
+            'billing.subscribingAt': null,
+          },
+        }
+      );
+      const billing = await syncSubscription(subscription);
+
+      await writeBillingAudit(
+        req,
+        'subscription.create',
+        company.billing,
+        billing
+      );
+
+      res.status(201).send({
+        msg: 'Subscription created',
+        subscriptionId: subscription.id,
+        status: subscription.status,
+        clientSecret:
+          subscription.latest_invoice?.confirmation_secret?.client_secret ||
+          null,
+      });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// HR: what switching to another package would cost now (prorated)
+app.get(
+  '/hr/subscription/preview',
+  verifyToken,
+  verifyHR,
+  validate({ query: planQuery }),
+  async (req, res, next) => {
+    try {
+      const company = await findSubscribedCompany(req.companyId);
+      const pkg = await planChangeTarget(company, req.query.packageName);
+
+      const subscription = await stripe.subscriptions.retrieve(
+        company.billing.subscriptionId
+      );
+      const preview = await stripe.invoices.createPreview({
+        customer: company.billing.customerId,
+        subscription: subscription.id,
+        subscription_details: {
+          items: [
+            {
+              id: subscription.items.data[0].id,
+              price: await packagePrice(pkg),
+            },
+          ],
+          proration_behavior: 'always_invoice',
+        },
+      });
+
+      res.send({
+        packageName: pkg.name,
+        employeeLimit: pkg.employeeLimit,
+        amountDue: preview.amount_due,
+        currency: preview.currency,
+        lines: preview.lines.data.map(line => ({
+          description: line.description,
+          amount: line.amount,
+        })),
+      });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// HR: switch package. The difference is prorated and invoiced right away,
+// and the change only takes effect once that invoice is paid.
+app.patch(
+  '/hr/subscription',
+  verifyToken,
+  verifyHR,
+  limits.paymentUser,
+  validate({ body: planQuery }),
+  async (req, res, next) => {
+    try {
+      const company = await findSubscribedCompany(req.companyId);
+      if (!ACTIVE_STATUSES.includes(company.billing.status)) {
+        return res.status(409).send({
+          msg: 'Settle the outstanding payment before changing plans',
+        });
+      }
+      const pkg = await planChangeTarget(company, req.body.packageName);
+
+      const current = await stripe.subscriptions.retrieve(
+        company.billing.subscriptionId
+      );
+      const subscription = await stripe.subscriptions.update(current.id, {
+        items: [
+          { id: current.items.data[0].id, price: await packagePrice(pkg) },
+        ],
+        proration_behavior: 'always_invoice',
+        payment_behavior: 'pending_if_incomplete',
+      });
+      const billing = await syncSubscription(subscription);
+
+      await writeBillingAudit(
+        req,
+        'subscription.change',
+        company.billing,
+        billing
+      );
+
+      const pending = Boolean(subscription.pending_update);
+      res.send({
+        msg: pending
+          ? 'Plan change waiting for payment'
+          : `Switched to ${pkg.name}`,
+        packageName: billing.packageName,
+        pending,
+      });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// HR: cancel at the end of the paid period (or ?immediately=true)
+app.delete(
+  '/hr/subscription',
+  verifyToken,
+  verifyHR,
+  validate({ query: { immediately: { type: 'boolean', default: false } } }),
+  async (req, res, next) => {
+    try {
+      const company = await findSubscribedCompany(req.companyId);
+      const { subscriptionId } = company.billing;
+
+      const subscription = req.query.immediately
+        ? await stripe.subscriptions.cancel(subscriptionId)
+        : await stripe.subscriptions.update(subscriptionId, {
+            cancel_at_period_end: true,
+          });
+      const billing = await syncSubscription(subscription);
+
+      await writeBillingAudit(
+        req,
+        'subscription.cancel',
+        company.billing,
+        billing
+      );
+
+      res.send({
+        msg: req.query.immediately
+          ? 'Subscription cancelled'
+          : 'Subscription will end with the current period',
+        currentPeriodEnd: billing.currentPeriodEnd,
+      });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// HR: keep a subscription that was set to cancel at period end
+app.post(
+  '/hr/subscription/resume',
+  verifyToken,
+  verifyHR,
+  async (req, res, next) => {
+    try {
+      const company = await findSubscribedCompany(req.companyId);
+      if (!company.billing.cancelAtPeriodEnd) {
+        return res.status(400).send({ msg: 'Subscription is not cancelling' });
+      }
+
+      const subscription = await stripe.subscriptions.update(
+        company.billing.subscriptionId,
+        { cancel_at_period_end: false }
+      );
+      const billing = await syncSubscription(subscription);
+
+      await writeBillingAudit(
+        req,
+        'subscription.resume',
+        company.billing,
+        billing
+      );
+
+      res.send({ msg: 'Subscription resumed' });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// HR: subscription invoices and one-off package payments, newest first
+app.get(
+  '/hr/billing/history',
+  verifyToken,
+  verifyHR,
+  validate({
+    query: {
+      limit: { type: 'number', integer: true, min: 1, max: 200, default: 50 },
+    },
+  }),
+  async (req, res, next) => {
+    try {
+      const { limit } = req.query;
+      const newest = { sort: { createdAt: -1 }, limit };
+
+      const invoices = await invoicesCol
+        .find({ companyId: req.companyId }, newest)
+        .toArray();
+      const payments = await paymentsCol
+        .find({ companyId: req.companyId }, newest)
+        .toArray();
+
+      const history = [
+        ...invoices.map(i => ({
+          type: 'invoice',
+          id: i.invoiceId,
+          number: i.number,
+          date: i.createdAt,
+          amount: i.amountPaid || i.amountDue,
+          currency: i.currency,
+          status: i.status,
+          reason: i.billingReason,
+          periodStart: i.periodStart,
+          periodEnd: i.periodEnd,
+          url: i.hostedInvoiceUrl,
+        })),
+        ...payments.map(p => ({
+          type: 'payment',
+          id: p.paymentIntentId,
+          date: p.createdAt,
+          amount: p.amountReceived ?? p.amount,
+          currency: p.currency,
+          status: p.status,
+          reason: `One-off upgrade to ${p.packageName}`,
+        })),
+      ]
+        .sort((a, b) => b.date - a.date)
+        .slice(0, limit);
+
+      res.send(history);
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// ==================== USERS / PROFILE ====================
+
+// Get user by email: yourself, or (HR only) an employee of your company
+app.get(
+  '/users/by-email/:email',
+  verifyToken,
+  validate({ params: { email: requiredEmail } }),
+  async (req, res, next) => {
+    try {
+      const { email } = req.params;
+
+      let view = email === req.user.email ? 'self' : null;
+      if (!view && req.user.role === 'hr' && req.user.companyId) {
+        const affiliation = await affiliationsCol.findOne({
+          companyId: new ObjectId(req.user.companyId),
+          employeeEmail: email,
+          status: 'active',
+        });
+        if (affiliation) view = 'hr';
+      }
+
+      // same answer for strangers and unknown emails
+      const user = view ? await usersCol.findOne({ email }) : null;
+      if (!user) return res.status(404).send({ msg: 'User not found' });
+
+      let employees = [];
+      if (view === 'self' && user.role === 'hr' && user.companyId) {
+        employees = await getCompanyEmployees(user.companyId);
+      }
+
+      res.send({
+        user: serializeUser(user, view),
+        employees: employees.map(e => serializeUser(e, 'hr')),
+      });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+app.get(
+  '/employee/my-profile',
+  verifyToken,
+  verifyEmployee,
+  async (req, res, next) => {
+    try {
+      const employee = await usersCol.findOne({ email: req.user.email });
+      if (!employee) return res.status(404).send({ msg: 'User not found' });
+      res.send(serializeUser(employee, 'self'));
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// ==================== HR: ANALYTICS ====================
+
+app.get(
+  '/hr/analytics/asset-types',
+  verifyToken,
+  verifyHR,
+  async (req, res, next) => {
+    try {
+      const matchStage = { companyId: req.companyId };
+
+      const agg = await assetsCol
+        .aggregate([
+          { $match: matchStage },
+          {
+            $group: {
+              _id: '$productType',
+              count: { $sum: 1 },
+            },
+          },
+        ])
+        .toArray();
+
+      let returnable = 0;
+      let nonReturnable = 0;
 
-    const request = await requestsCol.findOne({
-      _id: new ObjectId(id),
-    });
-    if (!request) return res.status(404).send({ msg: 'Request not found' });
-    if (request.requestStatus !== 'pending') {
-      return res.status(400).send({ msg: 'Request already processed' });
-    }
+      agg.forEach(item => {
+        if (item._id === 'Returnable') returnable = item.count;
+        else if (item._id === 'Non-returnable') nonReturnable = item.count;
+      });
 
-    if (request.assetId) {
-      await assetsCol.updateOne(
-        { _id: new ObjectId(request.assetId) },
-        { $inc: { availableQuantity: -1 } }
-      );
+      const data = [
+        { name: 'Returnable', value: returnable },
+        { name: 'Non-returnable', value: nonReturnable },
+      ];
+
+      res.send(data);
+    } catch (err) {
+      next(err);
     }
+  }
+);
 
-    const approvalDate = new Date();
+app.get(
+  '/hr/analytics/top-requested',
+  verifyToken,
+  verifyHR,
+  async (req, res, next) => {
+    try {
+      const matchStage = { companyId: req.companyId };
+
+      const agg = await requestsCol
+        .aggregate([
+          { $match: matchStage },
+          {
+            $group: {
+              _id: '$assetName',
+              count: { $sum: 1 },
+            },
+          },
+          { $sort: { count: -1 } },
+          { $limit: 5 },
+        ])
+        .toArray();
 
-    await requestsCol.updateOne(
-      { _id: new ObjectId(id) },
-      {
-        $set: {
-          requestStatus: 'approved',
-          approvalDate,
-          processedBy: 'HR',
-        },
-      }
-    );
+      const data = agg.map(item => ({
+        assetName: item._id,
+        count: item.count,
+      }));
 
-    res.send({ msg: 'Request approved' });
-  } catch (err) {
-    console.error('Approve request error:', err);
-    res.status(500).send({ msg: 'Server Error', error: err.toString() });
+      res.send(data);
+    } catch (err) {
+      next(err);
+    }
   }
-});
+);
 
-// Reject request
-app.patch('/hr/requests/:id/reject', async (req, res) => {
-  try {
-    const { id } = req.params;
+// Stock breakdown: available, assigned, damaged, lost and retired units
+app.get(
+  '/hr/analytics/asset-condition',
+  verifyToken,
+  verifyHR,
+  async (req, res, next) => {
+    try {
+      const [totals] = await assetsCol
+        .aggregate([
+          { $match: { companyId: req.companyId } },
+          {
+            $group: {
+              _id: null,
+              total: { $sum: '$productQuantity' },
+              available: { $sum: '$availableQuantity' },
+              damaged: { $sum: { $ifNull: ['$damagedQuantity', 0] } },
+              lost: { $sum: { $ifNull: ['$lostQuantity', 0] } },
+              retired: { $sum: { $ifNull: ['$retiredQuantity', 0] } },
+            },
+          },
+        ])
+        .toArray();
 
-    const request = await requestsCol.findOne({
-      _id: new ObjectId(id),
-    });
-    if (!request) return res.status(404).send({ msg: 'Request not found' });
-    if (request.requestStatus !== 'pending') {
-      return res.status(400).send({ msg: 'Request already processed' });
-    }
+      const {
+        total = 0,
+        available = 0,
+        damaged = 0,
+        lost = 0,
+        retired = 0,
+      } = totals || {};
 
-    await requestsCol.updateOne(
-      { _id: new ObjectId(id) },
-      {
-        $set: {
-          requestStatus: 'rejected',
-          approvalDate: new Date(),
-          processedBy: 'HR',
+      const data = [
+        { name: 'Available', value: available },
+        {
+          name: 'Assigned',
+          value: total - available - damaged - lost - retired,
         },
-      }
-    );
+        { name: 'Damaged', value: damaged },
+        { name: 'Lost', value: lost },
+        { name: 'Retired', value: retired },
+      ];
 
-    res.send({ msg: 'Request rejected' });
-  } catch (err) {
-    console.error('Reject request error:', err);
-    res.status(500).send({ msg: 'Server Error', error: err.toString() });
+      res.send(data);
+    } catch (err) {
+      next(err);
+    }
   }
-});
-
-// ==================== PACKAGES & STRIPE UPGRADE ====================
+);
 
+// Time-series reports take ?from=&to= (whole days, UTC; default the last 30
+// days) and ?groupBy=day|week|month (weeks start on Monday). Each answers
+// { from, to, groupBy, series: [{ period, ... }], totals }, with a row for
+// every period even when nothing happened.
+
+const ANALYTICS_MAX_PERIODS = 400;
+const APPROVED_STATUSES = ['approved', 'return-pending', 'returned'];
+
+const analyticsQuery = {
+  from: { type: 'date' },
+  to: { type: 'date' },
+  groupBy: {
+    type: 'string',
+    enum: ['day', 'week', 'month'],
+    default: 'day',
+  },
+};
 
-// Get all packages
-app.get('/packages', async (req, res) => {
-  try {
-    const pkgs = await packagesCol.find({}).toArray();
-    res.send(pkgs);
-  } catch (err) {
-    console.error('Packages error:', err);
-    res.status(500).send({ msg: 'Server Error', error: err.toString() });
+const periodStart = (date, unit) => {
+  const day = startOfDay(date);
+  if (unit === 'week') return addDays(day, -((day.getUTCDay() + 6) % 7));
+  if (unit === 'month') {
+    return new Date(Date.UTC(day.getUTCFullYear(), day.getUTCMonth(), 1));
   }
-});
+  return day;
+};
 
-// Create PaymentIntent
-app.post('/create-payment-intent', async (req, res) => {
-  try {
-    const { packageName, hrEmail } = req.body;
-    if (!packageName || !hrEmail) {
-      return res
-        .status(400)
-        .send({ msg: 'packageName and hrEmail are required' });
+const nextPeriod = (start, unit) =>
+  unit === 'month'
+    ? new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + 1, 1))
+    : addDays(start, unit === 'week' ? 7 : 1);
+
+const analyticsRange = query => {
+  const to = query.to
+    ? new Date(addDays(startOfDay(query.to), 1) - 1)
+    : new Date();
+  const from = startOfDay(query.from || addDays(to, -29));
+  if (to < from) throw httpError(400, 'to must not be before from');
+
+  const unit = query.groupBy;
+  const periods = [];
+  for (let p = periodStart(from, unit); p <= to; p = nextPeriod(p, unit)) {
+    if (periods.length === ANALYTICS_MAX_PERIODS) {
+      throw httpError(
+        400,
+        'Too many periods, shorten the range or group by a longer period'
+      );
     }
+    periods.push(p);
+  }
+  return { from, to, unit, periods };
+};
 
-    const pkg = await packagesCol.findOne({ name: packageName });
-    if (!pkg) return res.status(404).send({ msg: 'Package not found' });
+// Bucket a date field into the report's periods inside an aggregation
+const periodOf = (field, unit) => ({
+  $dateTrunc: { date: field, unit, startOfWeek: 'monday' },
+});
 
-    const amount = pkg.price * 100;
+// One row per period from aggregation rows keyed by period start
+const fillPeriods = (range, rows, empty) => {
+  const byPeriod = new Map(rows.map(({ _id, ...row }) => [_id.getTime(), row]));
+  return range.periods.map(p => ({
+    period: formatDate(p),
+    ...empty,
+    ...byPeriod.get(p.getTime()),
+  }));
+};
 
-    const paymentIntent = await stripe.paymentIntents.create({
-      amount,
-      currency: 'usd',
-      metadata: {
-        packageName: pkg.name,
-        hrEmail,
-      },
-    });
+const sumRows = (rows, keys) =>
+  Object.fromEntries(
+    keys.map(key => [key, rows.reduce((n, row) => n + row[key], 0)])
+  );
 
-    res.send({
-      clientSecret: paymentIntent.client_secret,
-      package: {
-        name: pkg.name,
-        employeeLimit: pkg.employeeLimit,
-        price: pkg.price,
-      },
-    });
-  } catch (err) {
-    console.error('Create payment intent error:', err);
-    res.status(500).send({ msg: 'Server Error', error: err.toString() });
-  }
-});
+const ratio = (part, whole) =>
+  whole ? Math.round((part / whole) * 1000) / 1000 : null;
 
-// HR: Upgrade package
-app.post('/hr/upgrade', async (req, res) => {
-  try {
-    const { hrEmail, packageName } = req.body;
-    if (!hrEmail || !packageName) {
-      return res.status(400).send({ msg: 'hrEmail and packageName required' });
-    }
+const median = values => {
+  if (!values.length) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
 
-    const pkg = await packagesCol.findOne({ name: packageName });
-    if (!pkg) return res.status(404).send({ msg: 'Package not found' });
+const reportOf = (range, series, totals) => ({
+  from: range.from,
+  to: range.to,
+  groupBy: range.unit,
+  series,
+  totals,
+});
 
-    const result = await usersCol.updateOne(
-      { email: hrEmail, role: 'hr' },
-      {
-        $set: {
-          subscription: packageName.toLowerCase(),
-          packageLimit: pkg.employeeLimit,
-          updatedAt: new Date(),
-        },
-      }
-    );
+// Requests (lines and units) per period, by request date
+app.get(
+  '/hr/analytics/requests',
+  verifyToken,
+  verifyHR,
+  validate({ query: analyticsQuery }),
+  async (req, res, next) => {
+    try {
+      const range = analyticsRange(req.query);
+
+      const rows = await requestsCol
+        .aggregate([
+          {
+            $match: {
+              companyId: req.companyId,
+              requestDate: { $gte: range.from, $lte: range.to },
+            },
+          },
+          {
+            $group: {
+              _id: periodOf('$requestDate', range.unit),
+              requests: { $sum: 1 },
+              units: { $sum: { $ifNull: ['$quantity', 1] } },
+            },
+          },
+        ])
+        .toArray();
 
-    if (result.matchedCount === 0) {
-      return res.status(404).send({ msg: 'HR user not found' });
+      const series = fillPeriods(range, rows, { requests: 0, units: 0 });
+      res.send(reportOf(range, series, sumRows(series, ['requests', 'units'])));
+    } catch (err) {
+      next(err);
     }
-
-    res.send({
-      msg: 'Package upgraded',
-      packageName: pkg.name,
-      employeeLimit: pkg.employeeLimit,
-      price: pkg.price,
-    });
-  } catch (err) {
-    console.error('Upgrade package error:', err);
-    res.status(500).send({ msg: 'Server Error', error: err.toString() });
   }
-});
+);
 
-// ==================== USERS / PROFILE ====================
+// Approvals vs rejections per period, by decision date
+app.get(
+  '/hr/analytics/decisions',
+  verifyToken,
+  verifyHR,
+  validate({ query: analyticsQuery }),
+  async (req, res, next) => {
+    try {
+      const range = analyticsRange(req.query);
+
+      const rows = await requestsCol
+        .aggregate([
+          {
+            $match: {
+              companyId: req.companyId,
+              requestStatus: { $in: [...APPROVED_STATUSES, 'rejected'] },
+              approvalDate: { $gte: range.from, $lte: range.to },
+            },
+          },
+          {
+            $group: {
+              _id: periodOf('$approvalDate', range.unit),
+              approved: {
+                $sum: {
+                  $cond: [{ $eq: ['$requestStatus', 'rejected'] }, 0, 1],
+                },
+              },
+              rejected: {
+                $sum: {
+                  $cond: [{ $eq: ['$requestStatus', 'rejected'] }, 1, 0],
+                },
+              },
+            },
+          },
+        ])
+        .toArray();
 
-// Get user by email
-app.get('/users/by-email/:email', async (req, res) => {
-  try {
-    const { email } = req.params;
-    const user = await usersCol.findOne({ email });
-    if (!user) return res.status(404).send({ msg: 'User not found' });
+      const withRates = row => ({
+        ...row,
+        approvalRate: ratio(row.approved, row.approved + row.rejected),
+        rejectionRate: ratio(row.rejected, row.approved + row.rejected),
+      });
 
-    let employees = [];
-    if (user.role === 'hr') {
-      employees = await usersCol
-        .find({ role: 'employee', approved: true })
-        .toArray();
+      const series = fillPeriods(range, rows, { approved: 0, rejected: 0 });
+      res.send(
+        reportOf(
+          range,
+          series.map(withRates),
+          withRates(sumRows(series, ['approved', 'rejected']))
+        )
+      );
+    } catch (err) {
+      next(err);
     }
-
-    res.send({ user, employees });
-  } catch (err) {
-    console.error(err);
-    res.status(500).send({ msg: 'Server error', error: err.toString() });
   }
-});
-
+);
 
+// Median hours from request to approval per period, by approval date.
+// Bookings that start by themselves are left out.
 app.get(
-  '/employee/my-profile',
+  '/hr/analytics/time-to-approve',
   verifyToken,
-  verifyEmployee,
-  async (req, res) => {
+  verifyHR,
+  validate({ query: analyticsQuery }),
+  async (req, res, next) => {
     try {
-      const employee = await usersCol.findOne({ email: req.user.email });
-      res.send(employee);
+      const range = analyticsRange(req.query);
+
+      const approvals = await requestsCol
+        .aggregate([
+          {
+            $match: {
+              companyId: req.companyId,
+              requestStatus: { $in: APPROVED_STATUSES },
+              reservationId: null,
+              approvalDate: { $gte: range.from, $lte: range.to },
+            },
+          },
+          {
+            $project: {
+              period: periodOf('$approvalDate', range.unit),
+              hours: {
+                $divide: [
+                  { $subtract: ['$approvalDate', '$requestDate'] },
+                  HOUR_MS,
+                ],
+              },
+            },
+          },
+        ])
+        .toArray();
+
+      const summary = hours => ({
+        approvals: hours.length,
+        medianHours: hours.length ? Math.round(median(hours) * 10) / 10 : null,
+      });
+
+      const series = range.periods.map(p => ({
+        period: formatDate(p),
+        ...summary(
+          approvals
+            .filter(a => a.period.getTime() === p.getTime())
+            .map(a => a.hours)
+        ),
+      }));
+      res.send(reportOf(range, series, summary(approvals.map(a => a.hours))));
     } catch (err) {
-      console.error(err);
-      res.status(500).send({ msg: 'Server Error', error: err.toString() });
+      next(err);
     }
   }
 );
 
-app.get('/hr/analytics/asset-types', async (req, res) => {
-  try {
-    const { hrEmail } = req.query;
-
-    const matchStage = {};
-    if (hrEmail) matchStage.hrEmail = hrEmail;
+// Share of units assigned (assigned ÷ total) per asset over the range and
+// for the whole company per period, from how long each approved line held
+// its units. Totals are today's stock, net of write-offs.
+app.get(
+  '/hr/analytics/utilization',
+  verifyToken,
+  verifyHR,
+  validate({ query: analyticsQuery }),
+  async (req, res, next) => {
+    try {
+      const range = analyticsRange(req.query);
+      const end = new Date(Math.min(range.to, Date.now()));
 
-    const agg = await assetsCol
-      .aggregate([
-        { $match: matchStage },
-        {
-          $group: {
-            _id: '$productType',
-            count: { $sum: 1 },
+      const assets = await assetsCol
+        .find({ companyId: req.companyId })
+        .toArray();
+      const held = await requestsCol
+        .find(
+          {
+            companyId: req.companyId,
+            requestStatus: { $in: APPROVED_STATUSES },
+            approvalDate: { $lte: end },
+            $or: [{ returnDate: null }, { returnDate: { $gte: range.from } }],
           },
-        },
-      ])
-      .toArray();
-
-    let returnable = 0;
-    let nonReturnable = 0;
-
-    agg.forEach(item => {
-      if (item._id === 'Returnable') returnable = item.count;
-      else if (item._id === 'Non-returnable') nonReturnable = item.count;
-    });
+          {
+            projection: {
+              assetId: 1,
+              approvalDate: 1,
+              returnDate: 1,
+              approvedQuantity: 1,
+              requestStatus: 1,
+            },
+          }
+        )
+        .toArray();
 
-    const data = [
-      { name: 'Returnable', value: returnable },
-      { name: 'Non-returnable', value: nonReturnable },
-    ];
+      // unit-milliseconds a line was out between start and stop
+      const unitTime = (line, start, stop) =>
+        Math.max(
+          0,
+          Math.min(line.returnDate || Date.now(), stop) -
+            Math.max(line.approvalDate, start)
+        ) * (line.approvedQuantity || 1);
+
+      const capacityOf = asset =>
+        Math.max(asset.productQuantity - countWrittenOff(asset), 0);
+      const capacity = assets.reduce((n, a) => n + capacityOf(a), 0);
+
+      const perAsset = assets
+        .map(asset => {
+          const lines = held.filter(l => l.assetId.equals(asset._id));
+          const used = lines.reduce(
+            (n, l) => n + unitTime(l, range.from, end),
+            0
+          );
+          return {
+            assetId: asset._id,
+            productName: asset.productName,
+            total: capacityOf(asset),
+            assigned: lines
+              .filter(l => l.requestStatus !== 'returned')
+              .reduce((n, l) => n + (l.approvedQuantity || 1), 0),
+            utilization: ratio(used, capacityOf(asset) * (end - range.from)),
+          };
+        })
+        .sort((a, b) => (b.utilization ?? -1) - (a.utilization ?? -1));
+
+      const series = range.periods.map(p => {
+        const start = Math.max(p, range.from);
+        const stop = Math.min(nextPeriod(p, range.unit), end);
+        const used = held.reduce((n, l) => n + unitTime(l, start, stop), 0);
+        return {
+          period: formatDate(p),
+          utilization:
+            stop > start ? ratio(used, capacity * (stop - start)) : null,
+        };
+      });
 
-    res.send(data);
-  } catch (err) {
-    console.error('Asset types analytics error:', err);
-    res.status(500).send({ msg: 'Server Error', error: err.toString() });
+      const used = held.reduce((n, l) => n + unitTime(l, range.from, end), 0);
+      res.send({
+        ...reportOf(range, series, {
+          total: capacity,
+          utilization: ratio(used, capacity * (end - range.from)),
+        }),
+        assets: perAsset,
+      });
+    } catch (err) {
+      next(err);
+    }
   }
-});
+);
 
+// Employees with the most requests in the range (?limit=, default 5), with
+// their requests per period
+app.get(
+  '/hr/analytics/top-requesters',
+  verifyToken,
+  verifyHR,
+  validate({
+    query: {
+      ...analyticsQuery,
+      limit: { type: 'number', integer: true, min: 1, max: 50, default: 5 },
+    },
+  }),
+  async (req, res, next) => {
+    try {
+      const range = analyticsRange(req.query);
+      const match = {
+        companyId: req.companyId,
+        requestDate: { $gte: range.from, $lte: range.to },
+      };
+
+      const top = await requestsCol
+        .aggregate([
+          { $match: match },
+          {
+            $group: {
+              _id: '$requesterEmail',
+              name: { $first: '$requesterName' },
+              requests: { $sum: 1 },
+              units: { $sum: { $ifNull: ['$quantity', 1] } },
+              approved: {
+                $sum: {
+                  $cond: [{ $in: ['$requestStatus', APPROVED_STATUSES] }, 1, 0],
+                },
+              },
+            },
+          },
+          { $sort: { requests: -1, _id: 1 } },
+          { $limit: req.query.limit },
+        ])
+        .toArray();
 
-app.get('/hr/analytics/top-requested', async (req, res) => {
-  try {
-    const { hrEmail } = req.query;
+      const rows = await requestsCol
+        .aggregate([
+          {
+            $match: { ...match, requesterEmail: { $in: top.map(t => t._id) } },
+          },
+          {
+            $group: {
+              _id: {
+                email: '$requesterEmail',
+                period: periodOf('$requestDate', range.unit),
+              },
+              requests: { $sum: 1 },
+            },
+          },
+        ])
+        .toArray();
 
-    const matchStage = {};
-    if (hrEmail) matchStage.hrEmail = hrEmail;
+      const requesters = top.map(({ _id, ...t }) => ({
+        email: _id,
+        ...t,
+        series: fillPeriods(
+          range,
+          rows
+            .filter(r => r._id.email === _id)
+            .map(r => ({ _id: r._id.period, requests: r.requests })),
+          { requests: 0 }
+        ),
+      }));
+
+      // the ranking covers the whole range, so it goes with the totals
+      const combined = new Map();
+      for (const r of rows) {
+        const key = r._id.period.getTime();
+        combined.set(key, (combined.get(key) || 0) + r.requests);
+      }
+      const series = fillPeriods(
+        range,
+        [...combined].map(([time, requests]) => ({
+          _id: new Date(time),
+          requests,
+        })),
+        { requests: 0 }
+      );
 
-    const agg = await requestsCol
-      .aggregate([
-        { $match: matchStage },
-        {
-          $group: {
-            _id: '$assetName',
-            count: { $sum: 1 },
-          },
+      res.send(
+        reportOf(range, series, {
+          ...sumRows(requesters, ['requests', 'units', 'approved']),
+          requesters,
+        })
+      );
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// Confirmed returns per period by condition, by return date
+app.get(
+  '/hr/analytics/returns',
+  verifyToken,
+  verifyHR,
+  validate({ query: analyticsQuery }),
+  async (req, res, next) => {
+    try {
+      const range = analyticsRange(req.query);
+
+      const countIf = condition => ({
+        $sum: {
+          $cond: [
+            { $eq: [{ $ifNull: ['$returnCondition', 'good'] }, condition] },
+            { $ifNull: ['$approvedQuantity', 1] },
+            0,
+          ],
         },
-        { $sort: { count: -1 } },
-        { $limit: 5 },
-      ])
-      .toArray();
+      });
 
-    const data = agg.map(item => ({
-      assetName: item._id,
-      count: item.count,
-    }));
+      const rows = await requestsCol
+        .aggregate([
+          {
+            $match: {
+              companyId: req.companyId,
+              requestStatus: 'returned',
+              returnDate: { $gte: range.from, $lte: range.to },
+            },
+          },
+          {
+            $group: {
+              _id: periodOf('$returnDate', range.unit),
+              returns: { $sum: 1 },
+              good: countIf('good'),
+              damaged: countIf('damaged'),
+              lost: countIf('lost'),
+            },
+          },
+        ])
+        .toArray();
 
-    res.send(data);
-  } catch (err) {
-    console.error('Top requested analytics error:', err);
-    res.status(500).send({ msg: 'Server Error', error: err.toString() });
+      const keys = ['returns', 'good', 'damaged', 'lost'];
+      const series = fillPeriods(
+        range,
+        rows,
+        Object.fromEntries(keys.map(k => [k, 0]))
+      );
+      res.send(reportOf(range, series, sumRows(series, keys)));
+    } catch (err) {
+      next(err);
+    }
   }
-});
+);
 // pagination
 // app.get('/hr/assets', async (req, res) => {
 //   try {
@@ -867,43 +8203,270 @@ app.get('/hr/analytics/top-requested', async (req, res) => {
 // });
 
 
-app.get('/hr/assets', async (req, res) => {
+// ===== Asset listing: search, filters, sorting, cursor pagination =====
+
+const ASSET_SORT_FIELDS = [
+  'dateAdded',
+  'productName',
+  'productType',
+  'productQuantity',
+  'availableQuantity',
+];
+const LOW_STOCK_THRESHOLD = Number(process.env.LOW_STOCK_THRESHOLD) || 3;
+
+const assetListQuery = {
+  search: { type: 'string', max: 100 },
+  productType: { type: 'string', enum: ASSET_TYPES },
+  stock: { type: 'string', enum: ['in', 'low', 'out', 'all'] },
+  addedFrom: { type: 'date' },
+  addedTo: { type: 'date' },
+  sort: { type: 'string', enum: ASSET_SORT_FIELDS },
+  order: { type: 'string', enum: ['asc', 'desc'] },
+  cursor: { type: 'string', max: 500 },
+  page: { type: 'number', integer: true, min: 1 },
+  limit: { type: 'number', integer: true, min: 1, max: 100 },
+};
+
+const escapeRegex = str => str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Cursors are opaque: the last row's sort value and _id
+const encodeCursor = (doc, sortField) =>
+  Buffer.from(JSON.stringify({ v: doc[sortField], id: doc._id })).toString(
+    'base64url'
+  );
+
+// Type each sort field's cursor value must have
+const CURSOR_TYPES = {
+  dateAdded: 'string',
+  productName: 'string',
+  productType: 'string',
+  productQuantity: 'number',
+  availableQuantity: 'number',
+};
+
+const decodeCursor = (cursor, sortField) => {
+  let parsed;
   try {
-    const { page = 1, limit = 10, hrEmail } = req.query;
+    parsed = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+  } catch {
+    throw httpError(400, 'Invalid cursor');
+  }
 
-    const pageNum = Number(page);
-    const limitNum = Number(limit);
-    const skip = (pageNum - 1) * limitNum;
+  // new ObjectId(undefined) would quietly mint a fresh id
+  const { v, id } = parsed || {};
+  const value = sortField === 'dateAdded' ? new Date(v) : v;
+  if (
+    typeof id !== 'string' ||
+    !OBJECT_ID_RE.test(id) ||
+    typeof v !== CURSOR_TYPES[sortField] ||
+    (value instanceof Date && isNaN(value))
+  ) {
+    throw httpError(400, 'Invalid cursor');
+  }
+  return { value, id: new ObjectId(id) };
+};
 
-    const query = {};
-    if (hrEmail) query.hrEmail = hrEmail;
+// Filters shared by the HR asset list and the employee catalogue
+const buildAssetFilter = ({
+  search,
+  productType,
+  stock,
+  addedFrom,
+  addedTo,
+}) => {
+  const filter = {};
+  if (search) {
+    filter.productName = { $regex: escapeRegex(search), $options: 'i' };
+  }
+  if (productType) filter.productType = productType;
 
-    const total = await assetsCol.countDocuments(query);
+  if (stock === 'in') filter.availableQuantity = { $gt: 0 };
+  else if (stock === 'low') {
+    filter.availableQuantity = { $gt: 0, $lte: LOW_STOCK_THRESHOLD };
+  } else if (stock === 'out') filter.availableQuantity = { $lte: 0 };
 
-    const assets = await assetsCol
-      .find(query)
-      .sort({ dateAdded: -1 })
-      .skip(skip)
-      .limit(limitNum)
-      .toArray();
+  if (addedFrom || addedTo) {
+    filter.dateAdded = {};
+    if (addedFrom) filter.dateAdded.$gte = new Date(addedFrom);
+    if (addedTo) filter.dateAdded.$lte = new Date(addedTo);
+  }
+  return filter;
+};
 
-    res.send({
-      data: assets,
-      total,
-      page: pageNum,
-      limit: limitNum,
-      totalPages: Math.ceil(total / limitNum),
-    });
-  } catch (err) {
-    console.error(err);
-    res.status(500).send({ msg: 'Server Error' });
+// One page of assets. With `cursor` it pages by (sort field, _id), which
+// stays stable while assets are added; otherwise falls back to page/limit.
+const listAssets = async (baseQuery, params) => {
+  const { sort = 'dateAdded', order = 'desc', cursor, page = 1 } = params;
+
+  const sortField = ASSET_SORT_FIELDS.includes(sort) ? sort : 'dateAdded';
+  const dir = order === 'asc' ? 1 : -1;
+  const limitNum = Math.min(Math.max(Number(params.limit) || 10, 1), 100);
+  const pageNum = Math.max(Number(page) || 1, 1);
+
+  const query = { ...baseQuery, ...buildAssetFilter(params) };
+  const total = await assetsCol.countDocuments(query);
+
+  let pageQuery = query;
+  if (cursor) {
+    const { value, id } = decodeCursor(cursor, sortField);
+    const op = dir === 1 ? '$gt' : '$lt';
+    pageQuery = {
+      $and: [
+        query,
+        {
+          $or: [
+            { [sortField]: { [op]: value } },
+            { [sortField]: value, _id: { [op]: id } },
+          ],
+        },
+      ],
+    };
   }
-});
 
+  const rows = await assetsCol
+    .find(pageQuery)
+    .sort({ [sortField]: dir, _id: dir })
+    .skip(cursor ? 0 : (pageNum - 1) * limitNum)
+    .limit(limitNum + 1)
+    .toArray();
+
+  const hasMore = rows.length > limitNum;
+  const data = rows.slice(0, limitNum);
+
+  return {
+    data,
+    total,
+    page: cursor ? null : pageNum,
+    limit: limitNum,
+    totalPages: Math.ceil(total / limitNum),
+    nextCursor: hasMore ? encodeCursor(data[data.length - 1], sortField) : null,
+  };
+};
+
+// Companies the catalogue shows an employee: their active affiliations, or
+// every company while they aren't affiliated anywhere yet (null). Requests
+// aren't limited to these; the first approval elsewhere affiliates them.
+const requestableCompanyIds = async email => {
+  const ids = await getEmployeeCompanyIds(email);
+  return ids.length ? ids : null;
+};
+
+app.get(
+  '/hr/assets',
+  verifyToken,
+  verifyHR,
+  validate({ query: assetListQuery }),
+  async (req, res, next) => {
+    try {
+      const result = await listAssets({ companyId: req.companyId }, req.query);
+      res.send(result);
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// Employee catalogue of requestable assets (in stock unless ?stock= is given)
+app.get(
+  '/employee/assets',
+  verifyToken,
+  verifyEmployee,
+  validate({ query: assetListQuery }),
+  async (req, res, next) => {
+    try {
+      const companyIds = await requestableCompanyIds(req.user.email);
+
+      const result = await listAssets(
+        { companyId: companyIds ? { $in: companyIds } : { $exists: true } },
+        { stock: 'in', ...req.query }
+      );
+      res.send(result);
+    } catch (err) {
+      next(err);
+    }
+  }
+);
+
+// ==================== CRON ====================
+
+// Vercel Cron sends `Authorization: Bearer $CRON_SECRET`
+const verifyCron = (req, res, next) => {
+  const secret = process.env.CRON_SECRET;
+  const expected = Buffer.from(`Bearer ${secret}`);
+  const given = Buffer.from(req.headers.authorization || '');
+  if (
+    !secret ||
+    given.length !== expected.length ||
+    !timingSafeEqual(given, expected)
+  ) {
+    return res.status(401).send({ msg: 'Unauthorized' });
+  }
+  next();
+};
+
+// Run a scheduled job now. Outside production `?now=` runs it against another
+// clock, e.g. to check reminders or a grace period without waiting for them.
+app.get(
+  '/cron/:job',
+  verifyCron,
+  validate({
+    params: {
+      job: { type: 'string', required: true, enum: [...scheduledJobs.keys()] },
+    },
+    query: { now: { type: 'date' } },
+  }),
+  async (req, res, next) => {
+    try {
+      if (req.query.now && process.env.NODE_ENV === 'production') {
+        return res
+          .status(400)
+          .send({ msg: 'now can only be overridden outside production' });
+      }
+
+      const now = req.query.now || new Date();
+      const result = await scheduledJobs.get(req.params.job)(now);
+
+      res.send({ job: req.params.job, now, ...result });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
 
 // ==================== TEST ====================
 app.get('/', (req, res) => res.send('AssetVerse API Running'));
 
+// ==================== ERRORS ====================
+
+app.use((req, res) => {
+  res.status(404).send({ msg: 'Route not found' });
+});
+
+// Central error handler: known errors keep their status and message,
+// anything else is logged and answered with a bare 500
+app.use((err, req, res, next) => {
+  if (res.headersSent) return next(err);
+
+  if (err.type === 'entity.parse.failed') {
+    return res
+      .status(400)
+      .send({ code: 'INVALID_JSON', msg: 'Malformed JSON body' });
+  }
+  if (err.name === 'BSONError') {
+    return res.status(400).send({ code: 'INVALID_ID', msg: 'Invalid id' });
+  }
+  if (err.status >= 400 && err.status < 500) {
+    return res.status(err.status).send({
+      code: typeof err.code === 'string' ? err.code : undefined,
+      msg: err.message,
+      errors: err.errors,
+    });
+  }
+
+  console.error(`${req.method} ${req.originalUrl} error:`, err);
+  res.status(500).send({ msg: 'Server Error' });
+});
+
 // ==================== START SERVER ====================
 app.listen(process.env.PORT || 5000, () =>
   console.log('Server running on port ' + (process.env.PORT || 5000))